@@ -0,0 +1,758 @@
+/**
+ * @author Danny Roessner <droessne@gmail.com>
+ * http://code.google.com/p/extjs-sass-tool/
+ *
+ * Color math used by the ExtJS Sass Color Utility.  This file has no ExtJS
+ * or DOM dependency so it can be loaded with a plain script tag (it defines
+ * a global SassColor object) or required from Node build scripts:
+ *
+ *     var SassColor = require('./sasscolor.js');
+ *
+ *     SassColor.adjust('C0D4ED', 0, 7.644, -8.627); // '#99BCE8'
+ *
+ * Hex values are passed around without a leading '#' and rgb channels are
+ * 0-255 numbers.  Hue is in degrees, saturation and lightness in percent,
+ * the same units the scss adjust-color() function uses.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SassColor = factory();
+    }
+}(this, function () {
+    var hexRe = /^[0-9A-Fa-f]{6}$/,
+        exact = false,
+        namedColors,
+        deficiencies,
+        constrain,
+        isHex,
+        parse,
+        hexToRgb,
+        colorToHex,
+        rgbToHex,
+        rgbToHsl,
+        hslToRgb,
+        rgbToHsv,
+        hsvToRgb,
+        setExact,
+        isExact,
+        round,
+        sassRgbToHsl,
+        sassHslToRgb,
+        adjustHsl,
+        adjust,
+        luminance,
+        contrast,
+        mirror,
+        readable,
+        simulate,
+        harmonies,
+        hueRelation,
+        harmony,
+        findAdjustment;
+
+    // The css named colors.
+    namedColors = {
+        aliceblue: 'F0F8FF', antiquewhite: 'FAEBD7', aqua: '00FFFF',
+        aquamarine: '7FFFD4', azure: 'F0FFFF', beige: 'F5F5DC',
+        bisque: 'FFE4C4', black: '000000', blanchedalmond: 'FFEBCD',
+        blue: '0000FF', blueviolet: '8A2BE2', brown: 'A52A2A',
+        burlywood: 'DEB887', cadetblue: '5F9EA0', chartreuse: '7FFF00',
+        chocolate: 'D2691E', coral: 'FF7F50', cornflowerblue: '6495ED',
+        cornsilk: 'FFF8DC', crimson: 'DC143C', cyan: '00FFFF',
+        darkblue: '00008B', darkcyan: '008B8B', darkgoldenrod: 'B8860B',
+        darkgray: 'A9A9A9', darkgreen: '006400', darkgrey: 'A9A9A9',
+        darkkhaki: 'BDB76B', darkmagenta: '8B008B', darkolivegreen: '556B2F',
+        darkorange: 'FF8C00', darkorchid: '9932CC', darkred: '8B0000',
+        darksalmon: 'E9967A', darkseagreen: '8FBC8F', darkslateblue: '483D8B',
+        darkslategray: '2F4F4F', darkslategrey: '2F4F4F',
+        darkturquoise: '00CED1', darkviolet: '9400D3', deeppink: 'FF1493',
+        deepskyblue: '00BFFF', dimgray: '696969', dimgrey: '696969',
+        dodgerblue: '1E90FF', firebrick: 'B22222', floralwhite: 'FFFAF0',
+        forestgreen: '228B22', fuchsia: 'FF00FF', gainsboro: 'DCDCDC',
+        ghostwhite: 'F8F8FF', gold: 'FFD700', goldenrod: 'DAA520',
+        gray: '808080', green: '008000', greenyellow: 'ADFF2F',
+        grey: '808080', honeydew: 'F0FFF0', hotpink: 'FF69B4',
+        indianred: 'CD5C5C', indigo: '4B0082', ivory: 'FFFFF0',
+        khaki: 'F0E68C', lavender: 'E6E6FA', lavenderblush: 'FFF0F5',
+        lawngreen: '7CFC00', lemonchiffon: 'FFFACD', lightblue: 'ADD8E6',
+        lightcoral: 'F08080', lightcyan: 'E0FFFF',
+        lightgoldenrodyellow: 'FAFAD2', lightgray: 'D3D3D3',
+        lightgreen: '90EE90', lightgrey: 'D3D3D3', lightpink: 'FFB6C1',
+        lightsalmon: 'FFA07A', lightseagreen: '20B2AA',
+        lightskyblue: '87CEFA', lightslategray: '778899',
+        lightslategrey: '778899', lightsteelblue: 'B0C4DE',
+        lightyellow: 'FFFFE0', lime: '00FF00', limegreen: '32CD32',
+        linen: 'FAF0E6', magenta: 'FF00FF', maroon: '800000',
+        mediumaquamarine: '66CDAA', mediumblue: '0000CD',
+        mediumorchid: 'BA55D3', mediumpurple: '9370DB',
+        mediumseagreen: '3CB371', mediumslateblue: '7B68EE',
+        mediumspringgreen: '00FA9A', mediumturquoise: '48D1CC',
+        mediumvioletred: 'C71585', midnightblue: '191970',
+        mintcream: 'F5FFFA', mistyrose: 'FFE4E1', moccasin: 'FFE4B5',
+        navajowhite: 'FFDEAD', navy: '000080', oldlace: 'FDF5E6',
+        olive: '808000', olivedrab: '6B8E23', orange: 'FFA500',
+        orangered: 'FF4500', orchid: 'DA70D6', palegoldenrod: 'EEE8AA',
+        palegreen: '98FB98', paleturquoise: 'AFEEEE', palevioletred: 'DB7093',
+        papayawhip: 'FFEFD5', peachpuff: 'FFDAB9', peru: 'CD853F',
+        pink: 'FFC0CB', plum: 'DDA0DD', powderblue: 'B0E0E6',
+        purple: '800080', rebeccapurple: '663399', red: 'FF0000',
+        rosybrown: 'BC8F8F', royalblue: '4169E1', saddlebrown: '8B4513',
+        salmon: 'FA8072', sandybrown: 'F4A460', seagreen: '2E8B57',
+        seashell: 'FFF5EE', sienna: 'A0522D', silver: 'C0C0C0',
+        skyblue: '87CEEB', slateblue: '6A5ACD', slategray: '708090',
+        slategrey: '708090', snow: 'FFFAFA', springgreen: '00FF7F',
+        steelblue: '4682B4', tan: 'D2B48C', teal: '008080', thistle: 'D8BFD8',
+        tomato: 'FF6347', turquoise: '40E0D0', violet: 'EE82EE',
+        wheat: 'F5DEB3', white: 'FFFFFF', whitesmoke: 'F5F5F5',
+        yellow: 'FFFF00', yellowgreen: '9ACD32'
+    };
+
+    constrain = function (value, min, max) {
+        return Math.min(Math.max(value, min), max);
+    };
+
+    // The rule the Base Color field applies: exactly six hex digits, no '#'.
+    isHex = function (value) {
+        return hexRe.test(value);
+    };
+
+    hexToRgb = function (hex) {
+        return {
+            r: parseInt(hex.substring(0, 2), 16),
+            g: parseInt(hex.substring(2, 4), 16),
+            b: parseInt(hex.substring(4, 6), 16)
+        };
+    };
+
+    colorToHex = function (color) {
+        color = constrain(exact ? round(color) : parseInt(color, 10), 0, 255);
+        return '0123456789ABCDEF'.charAt((color - color % 16) / 16) + '0123456789ABCDEF'.charAt(color % 16);
+    };
+
+    rgbToHex = function (r, g, b) {
+        return colorToHex(r) + colorToHex(g) + colorToHex(b);
+    };
+
+    rgbToHsl = function (r, g, b) {
+        var max = Math.max(r, g, b),
+            range = max - Math.min(r, g, b),
+            l = (max / 255) - (range / 510),
+            h = (range === 0 ? 0 : (max === r ? ((g - b) / range * 60) : (max === g ? ((b - r) / range * 60 + 120) : (max === b ? ((r - g) / range * 60 + 240) : 0))));
+
+        return {
+            h: h < 0 ? h + 360 :  h,
+            s: (range === 0 ? 0 : (range / 2.55) / (l < 0.5 ? (l * 2) : (2 - (l * 2)))),
+            l: l * 100
+        };
+    };
+
+    hslToRgb = function (h, s, l) {
+        var rgb = [],
+            value,
+            temp1,
+            temp2,
+            item,
+            i;
+
+        h = (h % 360 + 360) % 360;
+        s = constrain(s, 0, 100);
+        l = constrain(l, 0, 100);
+
+        if (s === 0) {
+            value = l * 2.55;
+            return {
+                r: value,
+                g: value,
+                b: value
+            };
+        }
+
+        rgb = [
+            (h + 120) / 60 % 6,
+            (h / 60),
+            (h + 240) / 60 % 6
+        ];
+
+        temp1 = l < 50 ? (l * (1 + s / 100)) : (l + s - l * s / 100);
+        temp2 = 2 * l - temp1;
+
+        for (i = 0; i < rgb.length; i += 1) {
+            item = rgb[i];
+            rgb[i] = 2.55 * (item < 1 ? (temp2 + (temp1 - temp2) * item) : (item < 3 ? (temp1) : (item < 4 ? (temp2 + (temp1 - temp2) * (4 - item)) : (temp2))));
+        }
+
+        return {
+            r: rgb[0],
+            g: rgb[1],
+            b: rgb[2]
+        };
+    };
+
+    // Hue in degrees, saturation and value in percent.
+    rgbToHsv = function (r, g, b) {
+        var max = Math.max(r, g, b),
+            range = max - Math.min(r, g, b);
+
+        return {
+            h: rgbToHsl(r, g, b).h,
+            s: max === 0 ? 0 : range / max * 100,
+            v: max / 2.55
+        };
+    };
+
+    hsvToRgb = function (h, s, v) {
+        var l;
+
+        s = constrain(s, 0, 100) / 100;
+        v = constrain(v, 0, 100) / 100;
+        l = v * (1 - s / 2);
+
+        return hslToRgb(h, (l === 0 || l === 1) ? 0 : (v - l) / Math.min(l, 1 - l) * 100, l * 100);
+    };
+
+    // Switches to Sass exact arithmetic.  By default channels are truncated
+    // to whole numbers the way the tool always has; in exact mode they are
+    // rounded and adjust() uses the hsl conversions of Sass itself, so the
+    // results match a compiled theme.  Chained adjustments also need the
+    // unrounded hsl values carried between steps, see adjustHsl().
+    setExact = function (on) {
+        exact = !!on;
+    };
+
+    isExact = function () {
+        return exact;
+    };
+
+    // Sass rounding: halves go up, allowing for float error in the last
+    // digits (Sass compares numbers to 10 decimal places).
+    round = function (value) {
+        return value - Math.floor(value) < 0.5 - 1e-11 ? Math.floor(value) : Math.ceil(value);
+    };
+
+    // The rgb to hsl conversion Sass uses.
+    sassRgbToHsl = function (r, g, b) {
+        var red = r / 255,
+            green = g / 255,
+            blue = b / 255,
+            max = Math.max(red, green, blue),
+            min = Math.min(red, green, blue),
+            delta = max - min,
+            h = 0,
+            s = 0,
+            l = 50 * (max + min);
+
+        if (max !== min) {
+            if (max === red) {
+                h = 60 * (green - blue) / delta;
+            } else if (max === green) {
+                h = 120 + 60 * (blue - red) / delta;
+            } else {
+                h = 240 + 60 * (red - green) / delta;
+            }
+            s = l < 50 ? 100 * delta / (max + min) : 100 * delta / (2 - max - min);
+        }
+
+        return {
+            h: (h % 360 + 360) % 360,
+            s: s,
+            l: l
+        };
+    };
+
+    // The hsl to rgb conversion Sass uses.  Channels are left unrounded.
+    sassHslToRgb = function (h, s, l) {
+        var hue = h / 360,
+            saturation = s / 100,
+            lightness = l / 100,
+            m2 = lightness <= 0.5 ? lightness * (saturation + 1) : lightness + saturation - lightness * saturation,
+            m1 = lightness * 2 - m2,
+            channel;
+
+        channel = function (offset) {
+            var value = hue + offset;
+
+            if (value < 0) {
+                value += 1;
+            }
+            if (value > 1) {
+                value -= 1;
+            }
+
+            if (value < 1 / 6) {
+                return (m1 + (m2 - m1) * value * 6) * 255;
+            }
+            if (value < 1 / 2) {
+                return m2 * 255;
+            }
+            if (value < 2 / 3) {
+                return (m1 + (m2 - m1) * (2 / 3 - value) * 6) * 255;
+            }
+            return m1 * 255;
+        };
+
+        return {
+            r: channel(1 / 3),
+            g: channel(0),
+            b: channel(-1 / 3)
+        };
+    };
+
+    // adjust-color() on hsl values, without going through rgb.  Sass keeps
+    // the hsl values of an adjusted color, so a color adjusted from another
+    // adjusted color starts from the unrounded values; pass the result of
+    // one call to the next to get the same.
+    adjustHsl = function (hsl, hue, saturation, lightness) {
+        return {
+            h: ((hsl.h + hue) % 360 + 360) % 360,
+            s: constrain(hsl.s + saturation, 0, 100),
+            l: constrain(hsl.l + lightness, 0, 100)
+        };
+    };
+
+    // Same result as adjust-color($color, $hue, $saturation, $lightness) in
+    // scss.  Returns the new color as a '#' prefixed hex string.
+    adjust = function (color, hue, saturation, lightness) {
+        var startRGB = hexToRgb(color),
+            hslValues,
+            endRGB;
+
+        if (exact) {
+            hslValues = adjustHsl(sassRgbToHsl(startRGB.r, startRGB.g, startRGB.b), hue, saturation, lightness);
+            endRGB = sassHslToRgb(hslValues.h, hslValues.s, hslValues.l);
+        } else {
+            hslValues = rgbToHsl(startRGB.r, startRGB.g, startRGB.b);
+            endRGB = hslToRgb(hslValues.h + hue, hslValues.s + saturation, hslValues.l + lightness);
+        }
+
+        return '#' + rgbToHex(endRGB.r, endRGB.g, endRGB.b);
+    };
+
+    // Reads any css color syntax: hex with 3, 4, 6 or 8 digits (the '#' is
+    // optional), rgb()/rgba(), hsl()/hsla() and the named colors.  Returns the
+    // color as six upper case hex digits without a '#', or null when the value
+    // can't be read.  Alpha is checked but dropped since theme colors are
+    // opaque.
+    parse = function (value) {
+        var number = /^[+\-]?(\d+\.?\d*|\.\d+)(%|deg)?$/,
+            match,
+            parts,
+            values = [],
+            rgb,
+            i;
+
+        value = String(value).replace(/^\s+|\s+$/g, '').toLowerCase();
+
+        if (namedColors.hasOwnProperty(value)) {
+            return namedColors[value];
+        }
+
+        match = /^#?([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.exec(value);
+        if (match) {
+            value = match[1];
+            if (value.length <= 4) {
+                value = value.charAt(0) + value.charAt(0) + value.charAt(1) + value.charAt(1) + value.charAt(2) + value.charAt(2);
+            }
+            return value.substring(0, 6).toUpperCase();
+        }
+
+        match = /^(rgb|hsl)a?\(([^)]*)\)$/.exec(value);
+        if (!match) {
+            return null;
+        }
+
+        parts = match[2].replace(/^\s+|\s+$/g, '').split(/\s*[,\/]\s*|\s+/);
+        if (parts.length < 3 || parts.length > 4) {
+            return null;
+        }
+
+        for (i = 0; i < parts.length; i += 1) {
+            match = number.exec(parts[i]);
+            if (!match || (match[2] === 'deg' && (i !== 0 || value.charAt(0) !== 'h'))) {
+                return null;
+            }
+            values.push({
+                value: parseFloat(parts[i]),
+                percent: match[2] === '%'
+            });
+        }
+
+        if (value.charAt(0) === 'r') {
+            rgb = [];
+            for (i = 0; i < 3; i += 1) {
+                rgb.push(Math.round(constrain(values[i].percent ? values[i].value * 2.55 : values[i].value, 0, 255)));
+            }
+            return rgbToHex(rgb[0], rgb[1], rgb[2]);
+        }
+
+        rgb = hslToRgb(values[0].value, values[1].value, values[2].value);
+        return rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b));
+    };
+
+    // Color vision deficiency matrices, applied to linear rgb.  The three
+    // dichromacies are the full severity matrices from Machado, Oliveira and
+    // Fernandes (2009); achromatopsia keeps only the luminance.
+    deficiencies = {
+        protanopia: [
+            [0.152286, 1.052583, -0.204868],
+            [0.114503, 0.786281, 0.099216],
+            [-0.003882, -0.048116, 1.051998]
+        ],
+        deuteranopia: [
+            [0.367322, 0.860646, -0.227968],
+            [0.280085, 0.672501, 0.047413],
+            [-0.011820, 0.042940, 0.968881]
+        ],
+        tritanopia: [
+            [1.255528, -0.076749, -0.178779],
+            [-0.078411, 0.930809, 0.147602],
+            [0.004733, 0.691367, 0.303900]
+        ],
+        achromatopsia: [
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722],
+            [0.2126, 0.7152, 0.0722]
+        ]
+    };
+
+    // Relative luminance as defined by WCAG 2.x, from 0 for black to 1 for
+    // white.
+    luminance = function (color) {
+        var rgb = hexToRgb(color),
+            channels = [rgb.r, rgb.g, rgb.b],
+            value,
+            i;
+
+        for (i = 0; i < channels.length; i += 1) {
+            value = channels[i] / 255;
+            channels[i] = value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        }
+
+        return 0.2126 * channels[0] + 0.7152 * channels[1] + 0.0722 * channels[2];
+    };
+
+    // WCAG 2.x contrast ratio between two colors, from 1 to 21.
+    contrast = function (color1, color2) {
+        var l1 = luminance(color1),
+            l2 = luminance(color2);
+
+        return (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+    };
+
+    // color with its lightness turned around, 100% - l, keeping its hue and
+    // saturation: white becomes black and a light blue a dark one.
+    mirror = function (color) {
+        var rgb = hexToRgb(color),
+            hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
+
+        rgb = hslToRgb(hsl.h, hsl.s, 100 - hsl.l);
+
+        return rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b));
+    };
+
+    // text, made lighter or darker, whichever background leaves more room
+    // for, in 1% steps of lightness until its contrast with background is
+    // at least ratio.  Hue and saturation are kept.  Returns text unchanged
+    // when it already reads, and black or white when the ratio can't be met.
+    readable = function (text, background, ratio) {
+        var rgb = hexToRgb(text),
+            hsl = rgbToHsl(rgb.r, rgb.g, rgb.b),
+            step = contrast('FFFFFF', background) >= contrast('000000', background) ? 1 : -1,
+            color = text.toUpperCase(),
+            l;
+
+        for (l = hsl.l; contrast(color, background) < ratio; l += step) {
+            if (l < 0 || l > 100) {
+                return step > 0 ? 'FFFFFF' : '000000';
+            }
+            rgb = hslToRgb(hsl.h, hsl.s, l);
+            color = rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b));
+        }
+
+        return color;
+    };
+
+    // How color looks with the named deficiency (a key of deficiencies).
+    // Returns six hex digits without a '#'.
+    simulate = function (color, deficiency) {
+        var matrix = deficiencies[deficiency],
+            rgb = hexToRgb(color),
+            channels = [rgb.r, rgb.g, rgb.b],
+            simulated = [],
+            value,
+            i;
+
+        if (!matrix) {
+            throw new Error('SassColor: unknown color vision deficiency "' + deficiency + '"');
+        }
+
+        for (i = 0; i < channels.length; i += 1) {
+            value = channels[i] / 255;
+            channels[i] = value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+        }
+
+        for (i = 0; i < matrix.length; i += 1) {
+            value = constrain(matrix[i][0] * channels[0] + matrix[i][1] * channels[1] + matrix[i][2] * channels[2], 0, 1);
+            value = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+            simulated.push(Math.round(value * 255));
+        }
+
+        return rgbToHex(simulated[0], simulated[1], simulated[2]);
+    };
+
+    // The name of the relation between two hues angle degrees apart, if it
+    // has one.
+    hueRelation = function (angle) {
+        return {
+            '30': 'Analogous',
+            '120': 'Triadic',
+            '150': 'Split Complementary',
+            '180': 'Complementary'
+        }[Math.abs(angle)] || '';
+    };
+
+    // Color harmony schemes for harmony().  Each has a label, the default
+    // step and count (null when the scheme doesn't use one) and a changes
+    // function returning what each swatch does to the color: a hue,
+    // saturation or lightness change in the units adjust() takes, or a tint
+    // or shade percentage of white or black mixed in.  rule names the
+    // scheme a swatch comes from, defaulting to the scheme's label.
+    harmonies = {
+        wheel: {
+            label: 'Color wheel',
+            step: 30,
+            count: 11,
+            changes: function (step, count) {
+                var changes = [],
+                    angle,
+                    i;
+
+                for (i = 1; i <= count; i += 1) {
+                    // -180 to 180, so +330 reads as -30
+                    angle = (i * step) % 360;
+                    angle = angle > 180 ? angle - 360 : angle;
+                    changes.push({ rule: hueRelation(angle) || 'Hue', hue: angle });
+                }
+
+                return changes;
+            }
+        },
+        complementary: {
+            label: 'Complementary',
+            step: null,
+            count: null,
+            changes: function () {
+                return [{ hue: 180 }];
+            }
+        },
+        splitComplementary: {
+            label: 'Split Complementary',
+            step: 30,
+            count: null,
+            changes: function (step) {
+                return [{ hue: 180 - step }, { hue: step - 180 }];
+            }
+        },
+        triadic: {
+            label: 'Triadic',
+            step: null,
+            count: null,
+            changes: function () {
+                return [{ hue: 120 }, { hue: -120 }];
+            }
+        },
+        square: {
+            label: 'Square',
+            step: null,
+            count: null,
+            changes: function () {
+                return [{ hue: 90 }, { hue: 180 }, { hue: -90 }];
+            }
+        },
+        tetradic: {
+            label: 'Tetradic',
+            step: 60,
+            count: null,
+            changes: function (step) {
+                return [{ hue: step }, { hue: 180 }, { hue: step - 180 }];
+            }
+        },
+        analogous: {
+            label: 'Analogous',
+            step: 30,
+            count: 3,
+            changes: function (step, count) {
+                var changes = [],
+                    i;
+
+                for (i = -count; i <= count; i += 1) {
+                    if (i) {
+                        changes.push({ hue: i * step });
+                    }
+                }
+
+                return changes;
+            }
+        },
+        monochromatic: {
+            label: 'Monochromatic',
+            step: 15,
+            count: 3,
+            changes: function (step, count) {
+                var changes = [],
+                    i;
+
+                for (i = count; i >= 1; i -= 1) {
+                    changes.push({ rule: 'Tint', tint: Math.min(i * step, 100) });
+                }
+                for (i = 1; i <= count; i += 1) {
+                    changes.push({ rule: 'Shade', shade: Math.min(i * step, 100) });
+                }
+
+                return changes;
+            }
+        },
+        saturation: {
+            label: 'Saturation',
+            step: 10,
+            count: 5,
+            changes: function (step, count) {
+                var changes = [],
+                    i;
+
+                for (i = -count; i <= count; i += 1) {
+                    changes.push({ saturation: i * step });
+                }
+
+                return changes;
+            }
+        },
+        lightness: {
+            label: 'Lightness',
+            step: 4,
+            count: 5,
+            changes: function (step, count) {
+                var changes = [],
+                    i;
+
+                for (i = -count; i <= count; i += 1) {
+                    changes.push({ lightness: i * step });
+                }
+
+                return changes;
+            }
+        }
+    };
+
+    // The swatches the named scheme (a key of harmonies) makes for color,
+    // with the scheme's default step and count when they are left off.
+    // Returns [{rule, change, label, color}] where change is e.g. 'Hue +120'
+    // and label puts the two together.
+    harmony = function (color, scheme, step, count) {
+        var definition = harmonies[scheme],
+            rgb = hexToRgb(color),
+            swatches = [],
+            changes,
+            change,
+            amount,
+            target,
+            channel,
+            swatch,
+            i;
+
+        if (!definition) {
+            throw new Error('SassColor: unknown harmony "' + scheme + '"');
+        }
+
+        changes = definition.changes(typeof step === 'number' ? step : definition.step,
+            typeof count === 'number' ? count : definition.count);
+
+        for (i = 0; i < changes.length; i += 1) {
+            change = changes[i];
+            swatch = { rule: change.rule || definition.label };
+
+            // A tint or shade of 0% is still one, e.g. with a step of 0
+            if (change.tint !== undefined || change.shade !== undefined) {
+                swatch.change = (change.tint !== undefined ? change.tint : change.shade) + '%';
+                amount = parseFloat(swatch.change) / 100;
+                target = change.tint !== undefined ? 255 : 0;
+                swatch.label = swatch.rule + ' ' + swatch.change;
+                swatch.color = '#' + rgbToHex(Math.round(rgb.r + (target - rgb.r) * amount),
+                    Math.round(rgb.g + (target - rgb.g) * amount), Math.round(rgb.b + (target - rgb.b) * amount));
+            } else {
+                channel = change.hue !== undefined ? 'Hue' : (change.saturation !== undefined ? 'Saturation' : 'Lightness');
+                amount = change[channel.toLowerCase()];
+                swatch.change = channel + ' ' + (amount < 0 ? amount : '+' + amount);
+                swatch.label = swatch.rule === channel ? swatch.change : swatch.rule + ' (' + swatch.change + ')';
+                swatch.color = adjust(color, change.hue || 0, change.saturation || 0, change.lightness || 0);
+            }
+
+            swatches.push(swatch);
+        }
+
+        return swatches;
+    };
+
+    // The reverse of adjust(): the hue, saturation and lightness deltas that
+    // take color to target, rounded to the 3 decimals the adjustment fields
+    // accept.  Because adjust() quantizes to 8 bits the deltas may not land
+    // exactly on target, so the color they do produce is returned along with
+    // the per channel error.
+    findAdjustment = function (color, target) {
+        var startRGB = hexToRgb(color),
+            targetRGB = hexToRgb(target),
+            startHsl = rgbToHsl(startRGB.r, startRGB.g, startRGB.b),
+            targetHsl = rgbToHsl(targetRGB.r, targetRGB.g, targetRGB.b),
+            round = function (value) {
+                return Math.round(value * 1000) / 1000;
+            },
+            hue = targetHsl.s === 0 ? 0 : (targetHsl.h - startHsl.h + 540) % 360 - 180,
+            result = {
+                hue: round(hue),
+                saturation: round(targetHsl.s - startHsl.s),
+                lightness: round(targetHsl.l - startHsl.l)
+            },
+            resultRGB;
+
+        result.color = adjust(color, result.hue, result.saturation, result.lightness);
+        resultRGB = hexToRgb(result.color.substring(1));
+        result.error = {
+            r: resultRGB.r - targetRGB.r,
+            g: resultRGB.g - targetRGB.g,
+            b: resultRGB.b - targetRGB.b
+        };
+
+        return result;
+    };
+
+    return {
+        hexRe: hexRe,
+        constrain: constrain,
+        isHex: isHex,
+        parse: parse,
+        hexToRgb: hexToRgb,
+        colorToHex: colorToHex,
+        rgbToHex: rgbToHex,
+        rgbToHsl: rgbToHsl,
+        hslToRgb: hslToRgb,
+        rgbToHsv: rgbToHsv,
+        hsvToRgb: hsvToRgb,
+        setExact: setExact,
+        isExact: isExact,
+        round: round,
+        sassRgbToHsl: sassRgbToHsl,
+        sassHslToRgb: sassHslToRgb,
+        adjustHsl: adjustHsl,
+        adjust: adjust,
+        luminance: luminance,
+        contrast: contrast,
+        mirror: mirror,
+        readable: readable,
+        deficiencies: deficiencies,
+        simulate: simulate,
+        harmonies: harmonies,
+        harmony: harmony,
+        findAdjustment: findAdjustment
+    };
+}));
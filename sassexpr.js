@@ -0,0 +1,576 @@
+/**
+ * @author Danny Roessner <droessne@gmail.com>
+ * http://code.google.com/p/extjs-sass-tool/
+ *
+ * Evaluates Sass color expressions such as
+ *
+ *     mix(darken(adjust-hue($base-color, 10), 5%), #fff, 30%)
+ *
+ * with the same color math as the rest of the tool.  Like sasscolor.js it
+ * has no ExtJS or DOM dependency; in the browser it defines a global
+ * SassExpression object and in Node it is loaded with require():
+ *
+ *     var SassExpression = require('./sassexpr.js');
+ *
+ *     SassExpression.evaluate('darken($base-color, 10%)', { 'base-color': 'C0D4ED' });
+ *     // { color: '#98B9E2', steps: [{ source: 'darken($base-color, 10%)', color: '#98B9E2' }] }
+ *
+ * Supported are color literals (hex and css color names), variables, numbers
+ * with % or deg units and the functions darken, lighten, saturate,
+ * desaturate, adjust-hue, complement, grayscale, invert, mix, scale-color,
+ * change-color, adjust-color, rgb and hsl, with positional or $keyword
+ * arguments.  Errors are thrown with a "position" property holding the
+ * 0 based offset of the problem in the expression.  Result channels are
+ * rounded the way Sass rounds them whether or not Sass Exact is on; Sass
+ * Exact also switches to the hsl conversions of Sass.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sasscolor.js'));
+    } else {
+        root.SassExpression = factory(root.SassColor);
+    }
+}(this, function (SassColor) {
+    var functions,
+        fail,
+        tokenize,
+        parse,
+        colorArg,
+        numberArg,
+        hslOf,
+        fromRgb,
+        fromHsl,
+        changeHsl,
+        changeRgb,
+        mix,
+        bind,
+        evaluate;
+
+    fail = function (message, position) {
+        var error = new Error('SassExpression: ' + message + ' at position ' + (position + 1));
+
+        error.position = position;
+        throw error;
+    };
+
+    // Splits the source into tokens of type '(', ')', ',', ':', 'variable',
+    // 'color', 'number' and 'ident', each with its start and end offset.
+    tokenize = function (source) {
+        var tokens = [],
+            position = 0,
+            rest,
+            match,
+            color;
+
+        while (position < source.length) {
+            rest = source.substring(position);
+
+            if ((match = /^\s+/.exec(rest))) {
+                position += match[0].length;
+                continue;
+            }
+
+            if ('(),:'.indexOf(rest.charAt(0)) !== -1) {
+                tokens.push({ type: rest.charAt(0), start: position, end: position + 1 });
+                position += 1;
+            } else if ((match = /^\$([a-zA-Z_][\w\-]*)/.exec(rest))) {
+                tokens.push({ type: 'variable', value: match[1], start: position, end: position + match[0].length });
+                position += match[0].length;
+            } else if ((match = /^#[0-9a-zA-Z]+/.exec(rest))) {
+                color = SassColor.parse(match[0]);
+                if (!color) {
+                    fail('invalid color "' + match[0] + '"', position);
+                }
+                tokens.push({ type: 'color', value: color, start: position, end: position + match[0].length });
+                position += match[0].length;
+            } else if ((match = /^[+\-]?(\d+\.?\d*|\.\d+)(%|[a-zA-Z]+)?/.exec(rest))) {
+                tokens.push({ type: 'number', value: parseFloat(match[0]), unit: match[2] || '', start: position, end: position + match[0].length });
+                position += match[0].length;
+            } else if ((match = /^[a-zA-Z_][\w\-]*/.exec(rest))) {
+                tokens.push({ type: 'ident', value: match[0], start: position, end: position + match[0].length });
+                position += match[0].length;
+            } else {
+                fail('unexpected "' + rest.charAt(0) + '"', position);
+            }
+        }
+
+        return tokens;
+    };
+
+    // Builds the syntax tree.  Nodes are the tokens themselves, plus 'call'
+    // nodes with a name and a list of { name, node } arguments where name is
+    // set for $keyword arguments.
+    parse = function (source) {
+        var tokens = tokenize(source),
+            index = 0,
+            peek,
+            next,
+            expression,
+            node;
+
+        peek = function (offset) {
+            return tokens[index + (offset || 0)];
+        };
+
+        next = function () {
+            var token = tokens[index];
+
+            if (!token) {
+                fail('unexpected end of expression', source.length);
+            }
+            index += 1;
+            return token;
+        };
+
+        expression = function () {
+            var token = next(),
+                call,
+                color;
+
+            if (token.type === 'variable' || token.type === 'color' || token.type === 'number') {
+                return token;
+            }
+
+            if (token.type !== 'ident') {
+                fail('unexpected "' + source.substring(token.start, token.end) + '"', token.start);
+            }
+
+            if (!peek() || peek().type !== '(') {
+                color = SassColor.parse(token.value);
+                if (!color) {
+                    fail('unknown color "' + token.value + '"', token.start);
+                }
+                return { type: 'color', value: color, start: token.start, end: token.end };
+            }
+
+            next();
+            call = { type: 'call', name: token.value, args: [], start: token.start };
+
+            if (peek() && peek().type === ')') {
+                call.end = next().end;
+                return call;
+            }
+
+            for (;;) {
+                if (peek() && peek().type === 'variable' && peek(1) && peek(1).type === ':') {
+                    call.args.push({ name: next().value, start: tokens[index - 1].start });
+                    next();
+                    call.args[call.args.length - 1].node = expression();
+                } else {
+                    call.args.push({ node: expression() });
+                }
+
+                token = next();
+                if (token.type === ')') {
+                    call.end = token.end;
+                    return call;
+                }
+                if (token.type !== ',') {
+                    fail('expected "," or ")" but found "' + source.substring(token.start, token.end) + '"', token.start);
+                }
+            }
+        };
+
+        if (!tokens.length) {
+            fail('expected an expression', 0);
+        }
+
+        node = expression();
+
+        if (peek()) {
+            fail('unexpected "' + source.substring(peek().start, peek().end) + '"', peek().start);
+        }
+
+        return node;
+    };
+
+    colorArg = function (args, name) {
+        var arg = args[name];
+
+        if (arg.value.type !== 'color') {
+            fail('$' + name + ' must be a color', arg.start);
+        }
+        return arg.value;
+    };
+
+    // Returns the number passed as name, or undefined when it was left out.
+    // Numbers without a unit are always accepted, units lists the others
+    // allowed.  min and max are the optional range.
+    numberArg = function (args, name, units, min, max) {
+        var arg = args[name],
+            value;
+
+        if (!arg) {
+            return undefined;
+        }
+        if (arg.value.type !== 'number') {
+            fail('$' + name + ' must be a number', arg.start);
+        }
+
+        value = arg.value;
+        if (value.unit && units.indexOf(value.unit) === -1) {
+            fail('$' + name + ' can\'t be in ' + value.unit, arg.start);
+        }
+        if (min !== undefined && (value.value < min || value.value > max)) {
+            fail('$' + name + ' ' + value.value + value.unit + ' must be between ' + min + ' and ' + max, arg.start);
+        }
+
+        return value.value;
+    };
+
+    // Color values are { type: 'color', value: hex }.  In Sass exact mode (see
+    // SassColor.setExact) colors made by the hsl functions also keep their
+    // unrounded hsl values, the way Sass does, so nested calls aren't thrown
+    // off by rounding to whole rgb channels in between.
+    hslOf = function (color) {
+        var rgb = SassColor.hexToRgb(color.value);
+
+        if (color.hsl) {
+            return color.hsl;
+        }
+        return SassColor.isExact() ? SassColor.sassRgbToHsl(rgb.r, rgb.g, rgb.b) : SassColor.rgbToHsl(rgb.r, rgb.g, rgb.b);
+    };
+
+    // The color for unrounded rgb channels, rounded the way Sass rounds them.
+    fromRgb = function (rgb) {
+        return { type: 'color', value: SassColor.rgbToHex(SassColor.round(rgb.r), SassColor.round(rgb.g), SassColor.round(rgb.b)) };
+    };
+
+    fromHsl = function (hsl) {
+        var rgb = SassColor.sassHslToRgb(hsl.h, hsl.s, hsl.l);
+
+        return { type: 'color', value: SassColor.rgbToHex(rgb.r, rgb.g, rgb.b), hsl: hsl };
+    };
+
+    changeHsl = function (color, hue, saturation, lightness) {
+        var hsl;
+
+        if (SassColor.isExact()) {
+            return fromHsl(SassColor.adjustHsl(hslOf(color), hue, saturation, lightness));
+        }
+        hsl = hslOf(color);
+        return fromRgb(SassColor.hslToRgb(hsl.h + hue, hsl.s + saturation, hsl.l + lightness));
+    };
+
+    // Applies change to each rgb channel (0 red, 1 green, 2 blue).  Like
+    // Sass the channels are rounded, with or without Sass Exact.
+    changeRgb = function (color, change) {
+        var rgb = SassColor.hexToRgb(color.value),
+            channels = [rgb.r, rgb.g, rgb.b],
+            i;
+
+        for (i = 0; i < channels.length; i += 1) {
+            channels[i] = SassColor.round(SassColor.constrain(change(channels[i], i), 0, 255));
+        }
+
+        return { type: 'color', value: SassColor.rgbToHex(channels[0], channels[1], channels[2]) };
+    };
+
+    // Same weighting as the Sass mix() function for opaque colors.
+    mix = function (color1, color2, weight) {
+        var rgb = SassColor.hexToRgb(color2.value),
+            channels = [rgb.r, rgb.g, rgb.b];
+
+        return changeRgb(color1, function (value, i) {
+            return value * weight / 100 + channels[i] * (1 - weight / 100);
+        });
+    };
+
+    // The supported functions.  params lists the argument names in order,
+    // the first "required" of them have to be given and defaults holds the
+    // value of any other argument that was left out.
+    functions = {
+        darken: {
+            params: ['color', 'amount'],
+            required: 2,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 0, 0, -numberArg(args, 'amount', ['%'], 0, 100));
+            }
+        },
+        lighten: {
+            params: ['color', 'amount'],
+            required: 2,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 0, 0, numberArg(args, 'amount', ['%'], 0, 100));
+            }
+        },
+        saturate: {
+            params: ['color', 'amount'],
+            required: 2,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 0, numberArg(args, 'amount', ['%'], 0, 100), 0);
+            }
+        },
+        desaturate: {
+            params: ['color', 'amount'],
+            required: 2,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 0, -numberArg(args, 'amount', ['%'], 0, 100), 0);
+            }
+        },
+        'adjust-hue': {
+            params: ['color', 'degrees'],
+            required: 2,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), numberArg(args, 'degrees', ['deg']), 0, 0);
+            }
+        },
+        complement: {
+            params: ['color'],
+            required: 1,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 180, 0, 0);
+            }
+        },
+        grayscale: {
+            params: ['color'],
+            required: 1,
+            fn: function (args) {
+                return changeHsl(colorArg(args, 'color'), 0, -100, 0);
+            }
+        },
+        invert: {
+            params: ['color', 'weight'],
+            required: 1,
+            defaults: {
+                weight: { type: 'number', value: 100, unit: '%' }
+            },
+            fn: function (args) {
+                var color = colorArg(args, 'color');
+
+                return mix(changeRgb(color, function (value) {
+                    return 255 - value;
+                }), color, numberArg(args, 'weight', ['%'], 0, 100));
+            }
+        },
+        mix: {
+            params: ['color1', 'color2', 'weight'],
+            required: 2,
+            defaults: {
+                weight: { type: 'number', value: 50, unit: '%' }
+            },
+            fn: function (args) {
+                return mix(colorArg(args, 'color1'), colorArg(args, 'color2'), numberArg(args, 'weight', ['%'], 0, 100));
+            }
+        },
+        'scale-color': {
+            params: ['color', 'red', 'green', 'blue', 'saturation', 'lightness'],
+            required: 1,
+            fn: function (args, call) {
+                var color = colorArg(args, 'color'),
+                    rgb = [numberArg(args, 'red', ['%'], -100, 100), numberArg(args, 'green', ['%'], -100, 100), numberArg(args, 'blue', ['%'], -100, 100)],
+                    saturation = numberArg(args, 'saturation', ['%'], -100, 100),
+                    lightness = numberArg(args, 'lightness', ['%'], -100, 100),
+                    hsl = hslOf(color),
+                    scale;
+
+                // How far the value moves toward max (scale > 0) or 0 (scale < 0)
+                scale = function (value, by, max) {
+                    return by ? (by > 0 ? max - value : value) * by / 100 : 0;
+                };
+
+                if ((rgb[0] !== undefined || rgb[1] !== undefined || rgb[2] !== undefined) && (saturation !== undefined || lightness !== undefined)) {
+                    fail('scale-color can\'t scale rgb and hsl values at the same time', call.start);
+                }
+
+                if (saturation !== undefined || lightness !== undefined) {
+                    return changeHsl(color, 0, scale(hsl.s, saturation, 100), scale(hsl.l, lightness, 100));
+                }
+
+                return changeRgb(color, function (value, i) {
+                    return value + scale(value, rgb[i], 255);
+                });
+            }
+        },
+        'change-color': {
+            params: ['color', 'red', 'green', 'blue', 'hue', 'saturation', 'lightness'],
+            required: 1,
+            fn: function (args, call) {
+                var color = colorArg(args, 'color'),
+                    rgb = [numberArg(args, 'red', [], 0, 255), numberArg(args, 'green', [], 0, 255), numberArg(args, 'blue', [], 0, 255)],
+                    hue = numberArg(args, 'hue', ['deg']),
+                    saturation = numberArg(args, 'saturation', ['%'], 0, 100),
+                    lightness = numberArg(args, 'lightness', ['%'], 0, 100),
+                    hsl = hslOf(color);
+
+                if ((rgb[0] !== undefined || rgb[1] !== undefined || rgb[2] !== undefined) && (hue !== undefined || saturation !== undefined || lightness !== undefined)) {
+                    fail('change-color can\'t change rgb and hsl values at the same time', call.start);
+                }
+
+                if (hue !== undefined || saturation !== undefined || lightness !== undefined) {
+                    return changeHsl(color, hue === undefined ? 0 : hue - hsl.h, saturation === undefined ? 0 : saturation - hsl.s, lightness === undefined ? 0 : lightness - hsl.l);
+                }
+
+                return changeRgb(color, function (value, i) {
+                    return rgb[i] === undefined ? value : rgb[i];
+                });
+            }
+        },
+        'adjust-color': {
+            params: ['color', 'red', 'green', 'blue', 'hue', 'saturation', 'lightness'],
+            required: 1,
+            fn: function (args, call) {
+                var color = colorArg(args, 'color'),
+                    rgb = [numberArg(args, 'red', [], -255, 255), numberArg(args, 'green', [], -255, 255), numberArg(args, 'blue', [], -255, 255)],
+                    hue = numberArg(args, 'hue', ['deg']),
+                    saturation = numberArg(args, 'saturation', ['%'], -100, 100),
+                    lightness = numberArg(args, 'lightness', ['%'], -100, 100);
+
+                if ((rgb[0] !== undefined || rgb[1] !== undefined || rgb[2] !== undefined) && (hue !== undefined || saturation !== undefined || lightness !== undefined)) {
+                    fail('adjust-color can\'t adjust rgb and hsl values at the same time', call.start);
+                }
+
+                if (hue !== undefined || saturation !== undefined || lightness !== undefined) {
+                    return changeHsl(color, hue || 0, saturation || 0, lightness || 0);
+                }
+
+                return changeRgb(color, function (value, i) {
+                    return value + (rgb[i] || 0);
+                });
+            }
+        },
+        rgb: {
+            params: ['red', 'green', 'blue'],
+            required: 3,
+            fn: function (args) {
+                var channels = ['red', 'green', 'blue'],
+                    i;
+
+                for (i = 0; i < channels.length; i += 1) {
+                    channels[i] = SassColor.round(args[channels[i]].value.unit === '%' ? numberArg(args, channels[i], ['%'], 0, 100) * 2.55 : numberArg(args, channels[i], [], 0, 255));
+                }
+
+                return { type: 'color', value: SassColor.rgbToHex(channels[0], channels[1], channels[2]) };
+            }
+        },
+        hsl: {
+            params: ['hue', 'saturation', 'lightness'],
+            required: 3,
+            fn: function (args) {
+                var hue = numberArg(args, 'hue', ['deg']),
+                    saturation = numberArg(args, 'saturation', ['%'], 0, 100),
+                    lightness = numberArg(args, 'lightness', ['%'], 0, 100),
+                    rgb;
+
+                if (SassColor.isExact()) {
+                    return fromHsl(SassColor.adjustHsl({ h: hue, s: saturation, l: lightness }, 0, 0, 0));
+                }
+                return fromRgb(SassColor.hslToRgb(hue, saturation, lightness));
+            }
+        }
+    };
+
+    // Matches the evaluated arguments of a call to the parameters of its
+    // function.  Returns a map of name to { value, start }.
+    bind = function (call, values) {
+        var definition = functions[call.name],
+            params = definition.params,
+            args = {},
+            keywords = false,
+            arg,
+            name,
+            i;
+
+        for (i = 0; i < call.args.length; i += 1) {
+            arg = call.args[i];
+
+            if (arg.name) {
+                keywords = true;
+                name = arg.name;
+                if (params.indexOf(name) === -1) {
+                    fail(call.name + ' has no argument $' + name, arg.start);
+                }
+            } else {
+                if (keywords) {
+                    fail('positional arguments must come before $keyword arguments', arg.node.start);
+                }
+                if (i >= params.length) {
+                    fail(call.name + ' takes at most ' + params.length + ' arguments', arg.node.start);
+                }
+                name = params[i];
+            }
+
+            if (args.hasOwnProperty(name)) {
+                fail('$' + name + ' was passed twice', arg.start === undefined ? arg.node.start : arg.start);
+            }
+            args[name] = { value: values[i], start: arg.start === undefined ? arg.node.start : arg.start };
+        }
+
+        for (i = 0; i < params.length; i += 1) {
+            name = params[i];
+
+            if (!args.hasOwnProperty(name)) {
+                if (i < definition.required) {
+                    fail(call.name + ' is missing $' + name, call.start);
+                }
+                if (definition.defaults && definition.defaults[name]) {
+                    args[name] = { value: definition.defaults[name], start: call.start };
+                }
+            }
+        }
+
+        return args;
+    };
+
+    // Evaluates source with the given variables, a map of names (without
+    // the '$') to colors in any form SassColor.parse() reads.  Returns the
+    // resulting color and each function call's result, innermost first.
+    evaluate = function (source, variables) {
+        var steps = [],
+            visit,
+            result;
+
+        variables = variables || {};
+
+        visit = function (node) {
+            var values = [],
+                color,
+                i;
+
+            if (node.type === 'variable') {
+                color = variables.hasOwnProperty(node.value) ? SassColor.parse(variables[node.value]) : null;
+                if (!color) {
+                    fail('undefined variable $' + node.value, node.start);
+                }
+                return { type: 'color', value: color };
+            }
+
+            if (node.type !== 'call') {
+                return node;
+            }
+
+            if (!functions.hasOwnProperty(node.name)) {
+                fail('unknown function ' + node.name + '()', node.start);
+            }
+
+            for (i = 0; i < node.args.length; i += 1) {
+                values.push(visit(node.args[i].node));
+            }
+
+            color = functions[node.name].fn(bind(node, values), node);
+            steps.push({
+                source: source.substring(node.start, node.end),
+                color: '#' + color.value
+            });
+
+            return color;
+        };
+
+        result = visit(parse(source));
+
+        if (result.type !== 'color') {
+            fail('the expression must give a color', 0);
+        }
+
+        return {
+            color: '#' + result.value,
+            steps: steps
+        };
+    };
+
+    return {
+        functions: functions,
+        parse: parse,
+        evaluate: evaluate
+    };
+}));
@@ -0,0 +1,319 @@
+/**
+ * @author Danny Roessner <droessne@gmail.com>
+ * http://code.google.com/p/extjs-sass-tool/
+ *
+ * Recolors the gray theme's image sprites (tab corners, tool icons, grid sort
+ * arrows, window frames...) for a base color.  The pixel math in tintPixels()
+ * has no DOM dependency and works on any array of rgba bytes; loading the
+ * sprites, the canvas work and the zip export need a browser:
+ *
+ *     var sprites = SassImage.findSprites(document);
+ *
+ *     SassImage.tint(sprites, 'C0D4ED', '', function (images, failed) {
+ *         Ext.util.CSS.createStyleSheet(SassImage.css(sprites, images).join(''), 'sampleImages');
+ *     });
+ *
+ * The gray sprites have no hue, so a pixel is tinted by giving it the base
+ * color's hue, adding the base color's saturation and moving its lightness
+ * by as much as the base color is lighter or darker than the default base
+ * color.  The default base color gives roughly Sencha's blue images back.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sasscolor.js'));
+    } else {
+        root.SassImage = factory(root.SassColor);
+    }
+}(this, function (SassColor) {
+    var defaultColor = 'C0D4ED',
+        grayRe = /\/images\/gray\/([^"')]+)/,
+        // Animated gifs would lose their animation on a canvas.
+        skipRe = /loading/,
+        crcTable,
+        shift,
+        tintPixels,
+        findSprites,
+        load,
+        tint,
+        css,
+        crc32,
+        zip;
+
+    // The hsl values tintPixels() applies for color.
+    shift = function (color) {
+        var rgb = SassColor.hexToRgb(color),
+            hsl = SassColor.rgbToHsl(rgb.r, rgb.g, rgb.b),
+            defaultRgb = SassColor.hexToRgb(defaultColor);
+
+        return {
+            h: hsl.h,
+            s: hsl.s,
+            l: hsl.l - SassColor.rgbToHsl(defaultRgb.r, defaultRgb.g, defaultRgb.b).l
+        };
+    };
+
+    // Tints data, an array of rgba bytes such as ImageData.data, in place.
+    // With a deficiency (a key of SassColor.deficiencies) the result is also
+    // simulated the way SassTheme.css() simulates the theme colors.
+    tintPixels = function (data, color, deficiency) {
+        var values = shift(color),
+            tinted = {},
+            hsl,
+            rgb,
+            key,
+            i;
+
+        for (i = 0; i < data.length; i += 4) {
+            key = data[i] + ',' + data[i + 1] + ',' + data[i + 2];
+
+            if (!tinted.hasOwnProperty(key)) {
+                hsl = SassColor.rgbToHsl(data[i], data[i + 1], data[i + 2]);
+                rgb = SassColor.hslToRgb(values.h, hsl.s + values.s, hsl.l + values.l);
+                rgb = SassColor.rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b));
+                if (deficiency) {
+                    rgb = SassColor.simulate(rgb, deficiency);
+                }
+                tinted[key] = SassColor.hexToRgb(rgb);
+            }
+
+            data[i] = tinted[key].r;
+            data[i + 1] = tinted[key].g;
+            data[i + 2] = tinted[key].b;
+        }
+
+        return data;
+    };
+
+    // Lists the gray theme images used by the stylesheets loaded in doc as
+    // [{path: 'tools/tool-sprites.gif', url, selectors: []}], path being
+    // relative to the images/gray folder.  Stylesheets from another origin
+    // can't be read and are skipped.
+    findSprites = function (doc) {
+        var sprites = [],
+            byUrl = {},
+            sheets = doc.styleSheets,
+            rules,
+            match,
+            url,
+            i,
+            j;
+
+        for (i = 0; i < sheets.length; i += 1) {
+            try {
+                rules = sheets[i].cssRules || sheets[i].rules || [];
+            } catch (e) {
+                rules = [];
+            }
+
+            for (j = 0; j < rules.length; j += 1) {
+                match = rules[j].style && grayRe.exec(rules[j].style.backgroundImage || '');
+
+                if (match && !skipRe.test(match[1])) {
+                    url = /url\(["']?([^"')]+)/.exec(rules[j].style.backgroundImage)[1];
+                    if (!byUrl[url]) {
+                        byUrl[url] = { path: match[1], url: url, selectors: [] };
+                        sprites.push(byUrl[url]);
+                    }
+                    byUrl[url].selectors.push(rules[j].selectorText);
+                }
+            }
+        }
+
+        return sprites;
+    };
+
+    // Loads a sprite's pixels once, keeps them on the sprite and calls
+    // callback(sprite).
+    load = function (sprite, callback) {
+        var image;
+
+        if (sprite.pixels) {
+            callback(sprite);
+            return;
+        }
+
+        image = new Image();
+        image.onload = function () {
+            var canvas = document.createElement('canvas'),
+                context = canvas.getContext('2d');
+
+            canvas.width = image.width;
+            canvas.height = image.height;
+            context.drawImage(image, 0, 0);
+
+            try {
+                sprite.pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+            } catch (e) {
+                // A page opened from file:// can't read its own images in
+                // some browsers.
+                sprite.error = e;
+            }
+            callback(sprite);
+        };
+        image.onerror = function () {
+            sprite.error = new Error('SassImage: could not load ' + sprite.url);
+            callback(sprite);
+        };
+        image.src = sprite.url;
+    };
+
+    // Tints every sprite for color and calls callback(images, failed) with
+    // images mapping each tinted sprite's path to a png data url and failed
+    // listing the sprites that could not be read.
+    tint = function (sprites, color, deficiency, callback) {
+        var images = {},
+            failed = [],
+            pending = sprites.length,
+            render,
+            i;
+
+        render = function (sprite) {
+            var canvas,
+                context,
+                pixels;
+
+            if (sprite.error) {
+                failed.push(sprite);
+            } else {
+                canvas = document.createElement('canvas');
+                canvas.width = sprite.pixels.width;
+                canvas.height = sprite.pixels.height;
+                context = canvas.getContext('2d');
+                pixels = context.createImageData(canvas.width, canvas.height);
+                pixels.data.set(sprite.pixels.data);
+                tintPixels(pixels.data, color, deficiency);
+                context.putImageData(pixels, 0, 0);
+                images[sprite.path] = canvas.toDataURL('image/png');
+            }
+
+            pending -= 1;
+            if (pending === 0) {
+                callback(images, failed);
+            }
+        };
+
+        if (!pending) {
+            callback(images, failed);
+            return;
+        }
+
+        for (i = 0; i < sprites.length; i += 1) {
+            load(sprites[i], render);
+        }
+    };
+
+    // Rules pointing the selectors of each sprite at its tinted image, with
+    // the same scope argument as SassTheme.css().
+    css = function (sprites, images, scope) {
+        var rules = [],
+            selectors,
+            i,
+            j;
+
+        for (i = 0; i < sprites.length; i += 1) {
+            if (images[sprites[i].path]) {
+                selectors = sprites[i].selectors.join(',').split(',');
+                for (j = 0; j < selectors.length; j += 1) {
+                    selectors[j] = (scope ? scope + ' ' : '') + selectors[j].replace(/^\s+|\s+$/g, '');
+                }
+                rules.push(selectors.join(', ') + ' { background-image: url(' + images[sprites[i].path] + '); }\n');
+            }
+        }
+
+        return rules;
+    };
+
+    crc32 = function (bytes) {
+        var crc = -1,
+            value,
+            i,
+            j;
+
+        if (!crcTable) {
+            crcTable = [];
+            for (i = 0; i < 256; i += 1) {
+                value = i;
+                for (j = 0; j < 8; j += 1) {
+                    value = value & 1 ? 0xEDB88320 ^ (value >>> 1) : value >>> 1;
+                }
+                crcTable.push(value);
+            }
+        }
+
+        for (i = 0; i < bytes.length; i += 1) {
+            crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+
+        return (crc ^ -1) >>> 0;
+    };
+
+    // Packs files, [{name: 'theme/tools/tool-sprites.gif', data: Uint8Array}],
+    // into an uncompressed zip archive and returns its bytes.
+    zip = function (files) {
+        var entries = [],
+            directory = [],
+            offset = 0,
+            size = 0,
+            position = 0,
+            result,
+            header,
+            local,
+            crc,
+            i;
+
+        // Little endian fields of [value, bytes] followed by the file name.
+        header = function (fields, name) {
+            var bytes = [],
+                i,
+                j;
+
+            for (i = 0; i < fields.length; i += 1) {
+                for (j = 0; j < fields[i][1]; j += 1) {
+                    bytes.push((fields[i][0] >>> (j * 8)) & 0xFF);
+                }
+            }
+            for (i = 0; i < name.length; i += 1) {
+                bytes.push(name.charCodeAt(i) & 0xFF);
+            }
+
+            return bytes;
+        };
+
+        for (i = 0; i < files.length; i += 1) {
+            crc = crc32(files[i].data);
+            local = header([[0x04034B50, 4], [10, 2], [0, 2], [0, 2], [0, 2], [0x21, 2], [crc, 4],
+                [files[i].data.length, 4], [files[i].data.length, 4], [files[i].name.length, 2], [0, 2]], files[i].name);
+
+            directory = directory.concat(header([[0x02014B50, 4], [10, 2], [10, 2], [0, 2], [0, 2], [0, 2], [0x21, 2],
+                [crc, 4], [files[i].data.length, 4], [files[i].data.length, 4], [files[i].name.length, 2], [0, 2],
+                [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]], files[i].name));
+            entries.push(local, files[i].data);
+            offset += local.length + files[i].data.length;
+        }
+
+        entries.push(directory, header([[0x06054B50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+            [directory.length, 4], [offset, 4], [0, 2]], ''));
+
+        for (i = 0; i < entries.length; i += 1) {
+            size += entries[i].length;
+        }
+
+        result = new Uint8Array(size);
+        for (i = 0; i < entries.length; i += 1) {
+            result.set(entries[i], position);
+            position += entries[i].length;
+        }
+
+        return result;
+    };
+
+    return {
+        defaultColor: defaultColor,
+        shift: shift,
+        tintPixels: tintPixels,
+        findSprites: findSprites,
+        tint: tint,
+        css: css,
+        zip: zip
+    };
+}));
@@ -0,0 +1,214 @@
+/**
+ * @author Danny Roessner <droessne@gmail.com>
+ * http://code.google.com/p/extjs-sass-tool/
+ *
+ * Writes lists of colors in the swatch formats design tools read: GIMP
+ * palettes, Adobe Swatch Exchange, Sketch palettes and css custom
+ * properties.  Like sasscolor.js it has no ExtJS or DOM dependency; in the
+ * browser it defines a global SassSwatch object and in Node it is loaded
+ * with require():
+ *
+ *     var SassSwatch = require('./sassswatch.js');
+ *
+ *     SassSwatch.formats.gpl.write('My theme', [
+ *         { group: 'Base', name: 'base-color', label: 'Base color', color: 'C0D4ED' },
+ *         { group: 'Hue', name: 'complementary-hue-plus-180', label: 'Complementary (Hue +180)', color: 'EDD9C0' }
+ *     ]);
+ *
+ * Colors are six hex digits without a '#'.  The label is what design tools
+ * show, the name is used for the css custom property and the swatches are
+ * grouped by group where the format allows it.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sasscolor.js'));
+    } else {
+        root.SassSwatch = factory(root.SassColor);
+    }
+}(this, function (SassColor) {
+    var formats,
+        groups,
+        toGpl,
+        toAse,
+        toSketch,
+        toCss;
+
+    // The swatches split by group, keeping the order groups first appear in.
+    groups = function (swatches) {
+        var result = [],
+            byName = {},
+            i;
+
+        for (i = 0; i < swatches.length; i += 1) {
+            if (!byName.hasOwnProperty(swatches[i].group)) {
+                byName[swatches[i].group] = { name: swatches[i].group, swatches: [] };
+                result.push(byName[swatches[i].group]);
+            }
+            byName[swatches[i].group].swatches.push(swatches[i]);
+        }
+
+        return result;
+    };
+
+    toGpl = function (title, swatches) {
+        var lines = ['GIMP Palette', 'Name: ' + title, 'Columns: 0'],
+            list = groups(swatches),
+            rgb,
+            i,
+            j;
+
+        for (i = 0; i < list.length; i += 1) {
+            lines.push('# ' + list[i].name);
+
+            for (j = 0; j < list[i].swatches.length; j += 1) {
+                rgb = SassColor.hexToRgb(list[i].swatches[j].color);
+                lines.push(rgb.r + ' ' + rgb.g + ' ' + rgb.b + '\t' + list[i].swatches[j].label);
+            }
+        }
+
+        return lines.join('\n') + '\n';
+    };
+
+    // Adobe Swatch Exchange, version 1.0: a 'ASEF' header followed by group
+    // start, color and group end blocks, all big endian.  Names are utf-16
+    // with a terminating null.
+    toAse = function (title, swatches) {
+        var list = groups(swatches),
+            blocks = [],
+            size = 12,
+            bytes,
+            view,
+            position = 0,
+            name,
+            block,
+            rgb,
+            i,
+            j;
+
+        name = function (text) {
+            var chars = [],
+                k;
+
+            for (k = 0; k < text.length; k += 1) {
+                chars.push(text.charCodeAt(k));
+            }
+            chars.push(0);
+
+            return chars;
+        };
+
+        for (i = 0; i < list.length; i += 1) {
+            blocks.push({ type: 0xC001, name: name(title + ' - ' + list[i].name) });
+
+            for (j = 0; j < list[i].swatches.length; j += 1) {
+                rgb = SassColor.hexToRgb(list[i].swatches[j].color);
+                blocks.push({ type: 0x0001, name: name(list[i].swatches[j].label), rgb: [rgb.r, rgb.g, rgb.b] });
+            }
+
+            blocks.push({ type: 0xC002 });
+        }
+
+        // Block type and length, then for named blocks the name length and
+        // name, and for colors the model, 3 floats and the color type.
+        for (i = 0; i < blocks.length; i += 1) {
+            block = blocks[i];
+            block.length = block.name ? 2 + block.name.length * 2 + (block.rgb ? 4 + 12 + 2 : 0) : 0;
+            size += 6 + block.length;
+        }
+
+        bytes = new Uint8Array(size);
+        view = new DataView(bytes.buffer);
+
+        view.setUint32(0, 0x41534546);
+        view.setUint16(4, 1);
+        view.setUint16(6, 0);
+        view.setUint32(8, blocks.length);
+        position = 12;
+
+        for (i = 0; i < blocks.length; i += 1) {
+            block = blocks[i];
+            view.setUint16(position, block.type);
+            view.setUint32(position + 2, block.length);
+            position += 6;
+
+            if (block.name) {
+                view.setUint16(position, block.name.length);
+                position += 2;
+                for (j = 0; j < block.name.length; j += 1) {
+                    view.setUint16(position, block.name[j]);
+                    position += 2;
+                }
+            }
+
+            if (block.rgb) {
+                view.setUint32(position, 0x52474220);
+                position += 4;
+                for (j = 0; j < 3; j += 1) {
+                    view.setFloat32(position, block.rgb[j] / 255);
+                    position += 4;
+                }
+                // Normal, not a global or spot color.
+                view.setUint16(position, 2);
+                position += 2;
+            }
+        }
+
+        return bytes;
+    };
+
+    // The .sketchpalette json read by the Sketch Palettes plugin.
+    toSketch = function (title, swatches) {
+        var colors = [],
+            rgb,
+            i;
+
+        for (i = 0; i < swatches.length; i += 1) {
+            rgb = SassColor.hexToRgb(swatches[i].color);
+            colors.push({
+                name: swatches[i].label,
+                red: Math.round(rgb.r / 255 * 10000) / 10000,
+                green: Math.round(rgb.g / 255 * 10000) / 10000,
+                blue: Math.round(rgb.b / 255 * 10000) / 10000,
+                alpha: 1
+            });
+        }
+
+        return JSON.stringify({
+            compatibleVersion: '2.0',
+            pluginVersion: '2.22',
+            colors: colors
+        }, null, 4) + '\n';
+    };
+
+    toCss = function (title, swatches) {
+        var lines = ['/* ' + title + ' */', ':root {'],
+            list = groups(swatches),
+            i,
+            j;
+
+        for (i = 0; i < list.length; i += 1) {
+            lines.push((i ? '\n' : '') + '    /* ' + list[i].name + ' */');
+
+            for (j = 0; j < list[i].swatches.length; j += 1) {
+                lines.push('    --' + list[i].swatches[j].name + ': #' + list[i].swatches[j].color + '; /* ' + list[i].swatches[j].label + ' */');
+            }
+        }
+
+        lines.push('}');
+
+        return lines.join('\n') + '\n';
+    };
+
+    // Each format's writer, file extension and mime type.  write() returns a
+    // string, or a Uint8Array for the binary .ase format.
+    formats = {
+        gpl: { write: toGpl, extension: 'gpl', mimeType: 'text/plain' },
+        ase: { write: toAse, extension: 'ase', mimeType: 'application/octet-stream' },
+        sketch: { write: toSketch, extension: 'sketchpalette', mimeType: 'application/json' },
+        css: { write: toCss, extension: 'css', mimeType: 'text/css' }
+    };
+
+    return {
+        formats: formats
+    };
+}));
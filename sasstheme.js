@@ -0,0 +1,1937 @@
+/**
+ * @author Danny Roessner <droessne@gmail.com>
+ * http://code.google.com/p/extjs-sass-tool/
+ *
+ * Theme generation for the ExtJS Sass Color Utility.  Given a base color
+ * this builds the css rules that the tool previews, and the same theme as a
+ * scss variables file or json.  Like sasscolor.js it has no ExtJS or DOM
+ * dependency; in the browser it defines a global SassTheme object and in
+ * Node it is loaded with require():
+ *
+ *     var SassTheme = require('./sasstheme.js');
+ *
+ *     SassTheme.toCss('C0D4ED'); // the stylesheet as a string
+ *
+ * The rules are those of the active theme profile, ExtJS 4.0.7 classic
+ * unless setProfile() picks another (see registerProfile()).
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./sasscolor.js'));
+    } else {
+        root.SassTheme = factory(root.SassColor);
+    }
+}(this, function (SassColor) {
+    var version = '1.1.0',
+        prefixes,
+        palette = [],
+        paletteIndex = {},
+        ruleSets = [],
+        overrides = {},
+        dark = false,
+        defaultProfile = 'classic-4.0.7',
+        profiles = {},
+        profileNames = [],
+        profile,
+        resolve,
+        activate,
+        registerProfile,
+        setProfile,
+        getProfile,
+        getProfiles,
+        register,
+        setOverrides,
+        getOverrides,
+        countOverrides,
+        settings,
+        setDark,
+        isDark,
+        baseColor,
+        adjustPalette,
+        textColors,
+        renderedText,
+        computePalette,
+        textTemplate,
+        fill,
+        backgroundColors,
+        gradient,
+        css,
+        toCss,
+        toScss,
+        toJson,
+        expression,
+        inspect,
+        audit,
+        unaudited,
+        colorsIn,
+        readTheme,
+        estimate;
+
+    // Properties that are written once per vendor prefix.
+    prefixes = {
+        'box-shadow': ['-moz-', '-webkit-', '-o-', '']
+    };
+
+    // The palette and rule sets of a profile: those of the profile it
+    // extends, with its palette adjustments and selector renames applied,
+    // followed by its own.
+    resolve = function (target) {
+        var result = target.extend ? resolve(profiles[target.extend]) : { palette: [], ruleSets: [] },
+            adjustments = target.adjustments,
+            renames = [],
+            rename,
+            adjustment,
+            ruleSet,
+            entry,
+            pair,
+            name,
+            i,
+            j;
+
+        result.palette = result.palette.concat(target.palette);
+        result.ruleSets = result.ruleSets.concat(target.ruleSets);
+
+        for (i = 0; i < result.palette.length; i += 1) {
+            entry = result.palette[i];
+            adjustment = adjustments[entry.name];
+
+            if (adjustment) {
+                result.palette[i] = {
+                    name: entry.name,
+                    from: adjustment.hasOwnProperty('from') ? adjustment.from : entry.from,
+                    hue: adjustment.hue,
+                    saturation: adjustment.saturation,
+                    lightness: adjustment.lightness
+                };
+            }
+        }
+
+        // A class is renamed wherever it appears as a whole class name, so
+        // .x-tab doesn't touch .x-tab-bar.
+        for (name in target.selectors) {
+            if (target.selectors.hasOwnProperty(name)) {
+                renames.push({
+                    re: new RegExp(name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&') + '(?![\\w-])', 'g'),
+                    value: target.selectors[name]
+                });
+            }
+        }
+
+        rename = function (selector) {
+            var k;
+
+            for (k = 0; k < renames.length; k += 1) {
+                selector = selector.replace(renames[k].re, renames[k].value);
+            }
+
+            return selector;
+        };
+
+        for (i = 0; i < result.ruleSets.length && renames.length; i += 1) {
+            ruleSet = result.ruleSets[i];
+            result.ruleSets[i] = { name: ruleSet.name, rules: [], contrast: [] };
+
+            for (j = 0; j < ruleSet.rules.length; j += 1) {
+                result.ruleSets[i].rules.push({
+                    selector: rename(ruleSet.rules[j].selector),
+                    properties: ruleSet.rules[j].properties
+                });
+            }
+            for (j = 0; j < ruleSet.contrast.length; j += 1) {
+                pair = ruleSet.contrast[j];
+                result.ruleSets[i].contrast.push({
+                    label: pair.label,
+                    selector: rename(pair.selector),
+                    text: pair.text,
+                    background: pair.background,
+                    large: pair.large
+                });
+            }
+        }
+
+        return result;
+    };
+
+    // Makes a profile the one every function of the module works with.  The
+    // palette and ruleSets arrays are refilled in place so references to
+    // them stay current.
+    activate = function (target) {
+        var result = resolve(target),
+            name,
+            i;
+
+        profile = target;
+        palette.length = 0;
+        ruleSets.length = 0;
+        for (name in paletteIndex) {
+            if (paletteIndex.hasOwnProperty(name)) {
+                delete paletteIndex[name];
+            }
+        }
+
+        for (i = 0; i < result.palette.length; i += 1) {
+            palette.push(result.palette[i]);
+            paletteIndex[result.palette[i].name] = result.palette[i];
+        }
+        for (i = 0; i < result.ruleSets.length; i += 1) {
+            ruleSets.push(result.ruleSets[i]);
+        }
+    };
+
+    // Adds a theme profile: the selectors, palette and sample components of
+    // one ExtJS version and theme.
+    //
+    //     SassTheme.registerProfile({
+    //         name: 'classic-4.2',
+    //         label: 'Ext 4.2 classic',
+    //         ext: 'ext-4.2.1',
+    //         stylesheet: 'ext-all-gray.css',
+    //         defaultColor: 'C0D4ED',
+    //         extend: 'classic-4.1',
+    //         selectors: { '.x-grid-cell': '.x-grid-td' },
+    //         adjustments: { c04408c: { from: null, hue: 0, saturation: 38.889, lightness: -55.882 } }
+    //     });
+    //
+    // ext is the folder the framework is loaded from and stylesheet the
+    // file in its resources/css folder the theme is drawn over.  A profile
+    // that extends another starts from its palette and rule sets, renames
+    // the classes in selectors and gives the palette entries in adjustments
+    // new adjust-color() parameters ("from" too, null being the base color).
+    // Without extend it starts empty and its rule sets are added with
+    // register(), e.g. for a flat Neptune style theme.  sample is an
+    // optional function the browser tool passes the sample panel's items to
+    // and that returns the items to show.
+    registerProfile = function (config) {
+        var target,
+            parent,
+            inherited,
+            name,
+            i;
+
+        if (profiles.hasOwnProperty(config.name)) {
+            throw new Error('SassTheme: profile "' + config.name + '" is already registered');
+        }
+        if (config.extend && !profiles.hasOwnProperty(config.extend)) {
+            throw new Error('SassTheme: profile "' + config.name + '" extends unknown profile "' + config.extend + '"');
+        }
+        if (!SassColor.isHex(config.defaultColor || '')) {
+            throw new Error('SassTheme: profile "' + config.name + '" needs a six digit hex default color');
+        }
+
+        target = {
+            name: config.name,
+            label: config.label || config.name,
+            ext: config.ext,
+            stylesheet: config.stylesheet,
+            defaultColor: config.defaultColor.toUpperCase(),
+            extend: config.extend,
+            selectors: config.selectors || {},
+            adjustments: config.adjustments || {},
+            sample: config.sample,
+            palette: [],
+            ruleSets: []
+        };
+
+        parent = {};
+        if (target.extend) {
+            inherited = resolve(profiles[target.extend]).palette;
+            for (i = 0; i < inherited.length; i += 1) {
+                parent[inherited[i].name] = true;
+            }
+        }
+
+        for (name in target.adjustments) {
+            if (target.adjustments.hasOwnProperty(name) && !parent.hasOwnProperty(name)) {
+                throw new Error('SassTheme: profile "' + config.name + '" adjusts unknown palette entry "' + name + '"');
+            }
+        }
+
+        profiles[target.name] = target;
+        profileNames.push(target.name);
+    };
+
+    // Switches to another registered profile.  Overrides belong to a
+    // palette, so they are cleared.
+    setProfile = function (name) {
+        if (!profiles.hasOwnProperty(name)) {
+            throw new Error('SassTheme: unknown profile "' + name + '"');
+        }
+
+        overrides = {};
+        activate(profiles[name]);
+    };
+
+    // The active profile's settings, see registerProfile().
+    getProfile = function () {
+        return {
+            name: profile.name,
+            label: profile.label,
+            ext: profile.ext,
+            stylesheet: profile.stylesheet,
+            defaultColor: profile.defaultColor,
+            extend: profile.extend,
+            sample: profile.sample
+        };
+    };
+
+    // The registered profiles as [{name, label}], in the order they were
+    // registered.
+    getProfiles = function () {
+        var list = [],
+            i;
+
+        for (i = 0; i < profileNames.length; i += 1) {
+            list.push({ name: profileNames[i], label: profiles[profileNames[i]].label });
+        }
+
+        return list;
+    };
+
+    // Adds a rule set to the theme.  A rule set has a name, optional palette
+    // entries and a list of rules:
+    //
+    //     SassTheme.register({
+    //         name: 'my-grid',
+    //         palette: [
+    //             { name: 'myRowOver', hue: 0, saturation: 10, lightness: 5 },
+    //             { name: 'myRowText', from: 'myRowOver', hue: 0, saturation: 0, lightness: -60 }
+    //         ],
+    //         rules: [{
+    //             selector: '.my-grid-row-over',
+    //             properties: {
+    //                 color: '{myRowText}',
+    //                 border: '1px solid {c99bce8}',
+    //                 'background-image': ['{myRowOver}', '{ecf2fb} 50%', '{myRowOver}']
+    //             }
+    //         }]
+    //     });
+    //
+    // Palette entries are adjust-color() parameters applied to the base color,
+    // or to an already registered entry named by "from".  Property values are
+    // templates where {name} is replaced with that palette color.  An array
+    // value is a top to bottom gradient whose stops are "color position%"
+    // strings; the first and last stops default to 0% and 100%.
+    //
+    // A rule set can also list the text and background colors its rules put
+    // together so the contrast audit can check them.  Both are templates like
+    // property values, and selector is the element the text is drawn on, the
+    // one whose color a rule or the ExtJS stylesheet sets:
+    //
+    //         contrast: [
+    //             { label: 'My grid row, hover', selector: '.my-grid-row-over', text: '{myRowText}',
+    //                 background: ['{myRowOver}', '{ecf2fb} 50%', '{myRowOver}'] }
+    //         ]
+    //
+    // A background drawn as a gradient is given as the same array of stops,
+    // and the text has to read on every one of them.  Set large: true for
+    // bold or large text, which only needs 3:1 for AA.
+    //
+    // The rule set is added to the active profile, or to the one named by
+    // a profile property, and so to every profile extending that one.
+    register = function (ruleSet) {
+        var entries = ruleSet.palette || [],
+            target = ruleSet.profile ? profiles[ruleSet.profile] : profile,
+            known = {},
+            inherited,
+            entry,
+            i;
+
+        if (!target) {
+            throw new Error('SassTheme: unknown profile "' + ruleSet.profile + '"');
+        }
+
+        inherited = resolve(target).palette;
+        for (i = 0; i < inherited.length; i += 1) {
+            known[inherited[i].name] = true;
+        }
+
+        for (i = 0; i < entries.length; i += 1) {
+            entry = entries[i];
+
+            if (known.hasOwnProperty(entry.name)) {
+                throw new Error('SassTheme: palette entry "' + entry.name + '" is already registered');
+            }
+            if (entry.from && !known.hasOwnProperty(entry.from)) {
+                throw new Error('SassTheme: palette entry "' + entry.name + '" is derived from unknown entry "' + entry.from + '"');
+            }
+
+            target.palette.push(entry);
+            known[entry.name] = true;
+        }
+
+        target.ruleSets.push({
+            name: ruleSet.name,
+            rules: ruleSet.rules || [],
+            contrast: ruleSet.contrast || []
+        });
+
+        activate(profile);
+    };
+
+    // Replaces the registered adjustment of some palette entries, e.g. when
+    // the adjusted color doesn't work for one base color:
+    //
+    //     SassTheme.setOverrides({
+    //         c99bce8: { color: '7F9DB9' },
+    //         cbddf3: { hue: 0, saturation: 5, lightness: 4 }
+    //     });
+    //
+    // An entry is given either a fixed color (six hex digits) or its own
+    // hue, saturation and lightness.  Every color and file the theme makes
+    // uses the overrides, and entries derived from an overridden entry start
+    // from its new color.  Pass {} to go back to the registered palette.
+    setOverrides = function (values) {
+        var checked = {},
+            name,
+            value;
+
+        for (name in values) {
+            if (values.hasOwnProperty(name)) {
+                value = values[name];
+
+                if (!paletteIndex.hasOwnProperty(name)) {
+                    throw new Error('SassTheme: unknown palette entry "' + name + '"');
+                }
+
+                if (value.color !== undefined) {
+                    if (!SassColor.isHex(value.color)) {
+                        throw new Error('SassTheme: override of "' + name + '" is not a six digit hex color');
+                    }
+                    checked[name] = { color: value.color.toUpperCase() };
+                } else if (typeof value.hue === 'number' && typeof value.saturation === 'number' && typeof value.lightness === 'number') {
+                    checked[name] = { hue: value.hue, saturation: value.saturation, lightness: value.lightness };
+                } else {
+                    throw new Error('SassTheme: override of "' + name + '" needs a color or a hue, saturation and lightness');
+                }
+            }
+        }
+
+        overrides = checked;
+    };
+
+    getOverrides = function () {
+        return JSON.parse(JSON.stringify(overrides));
+    };
+
+    countOverrides = function () {
+        var count = 0,
+            name;
+
+        for (name in overrides) {
+            if (overrides.hasOwnProperty(name)) {
+                count += 1;
+            }
+        }
+
+        return count;
+    };
+
+    // A palette entry with its override applied: the fixed color, or the
+    // overridden hue, saturation and lightness.  The dark variant turns the
+    // lightness adjustment and a fixed color's lightness around.
+    settings = function (entry) {
+        var override = overrides[entry.name] || {},
+            lightness = override.lightness !== undefined && !override.color ? override.lightness : entry.lightness;
+
+        if (!overrides[entry.name] && !dark) {
+            return entry;
+        }
+
+        return {
+            name: entry.name,
+            from: entry.from,
+            hue: override.hue !== undefined && !override.color ? override.hue : entry.hue,
+            saturation: override.saturation !== undefined && !override.color ? override.saturation : entry.saturation,
+            lightness: dark ? -lightness : lightness,
+            color: override.color && dark ? SassColor.mirror(override.color) : override.color
+        };
+    };
+
+    // Switches between the theme and its dark variant.  The dark variant
+    // starts from a dark color with the hue and saturation of the base
+    // color (see baseColor) and turns every lightness adjustment around, so
+    // entries lighter than the base color become darker and dark text
+    // becomes light.  Text colors are then made light enough to meet WCAG
+    // AA on the backgrounds the contrast audit pairs them with, and css()
+    // adds a color to the elements whose text the ExtJS stylesheet colors.
+    setDark = function (on) {
+        dark = !!on;
+    };
+
+    isDark = function () {
+        return dark;
+    };
+
+    // The color the palette is adjusted from: color, or for the dark variant
+    // color with its lightness turned around, 100% - l, but at most 20% so
+    // mid and dark base colors give a dark theme too.
+    baseColor = function (color) {
+        var rgb = SassColor.hexToRgb(color),
+            hsl = SassColor.rgbToHsl(rgb.r, rgb.g, rgb.b);
+
+        if (!dark) {
+            return color.toUpperCase();
+        }
+
+        rgb = SassColor.hslToRgb(hsl.h, hsl.s, Math.min(100 - hsl.l, 20));
+
+        return SassColor.rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b));
+    };
+
+    // The palette adjusted from the base color, before the dark variant's
+    // text colors are made readable.
+    adjustPalette = function (color) {
+        var values = {},
+            hsl = {},
+            rgb,
+            entry,
+            channels,
+            i;
+
+        color = baseColor(color);
+        rgb = SassColor.hexToRgb(color);
+
+        for (i = 0; i < palette.length; i += 1) {
+            entry = settings(palette[i]);
+
+            if (entry.color) {
+                values[entry.name] = '#' + entry.color;
+                channels = SassColor.hexToRgb(entry.color);
+                hsl[entry.name] = SassColor.sassRgbToHsl(channels.r, channels.g, channels.b);
+            } else if (SassColor.isExact()) {
+                // Like Sass, derived entries start from the unrounded hsl
+                // values of the entry they come from
+                hsl[entry.name] = SassColor.adjustHsl(entry.from ? hsl[entry.from] : SassColor.sassRgbToHsl(rgb.r, rgb.g, rgb.b),
+                    entry.hue, entry.saturation, entry.lightness);
+                channels = SassColor.sassHslToRgb(hsl[entry.name].h, hsl[entry.name].s, hsl[entry.name].l);
+                values[entry.name] = '#' + SassColor.rgbToHex(channels.r, channels.g, channels.b);
+            } else {
+                values[entry.name] = SassColor.adjust(entry.from ? values[entry.from].substring(1) : color, entry.hue, entry.saturation, entry.lightness);
+            }
+        }
+
+        return values;
+    };
+
+    // The text colors for the contrast pairs whose text isn't a palette
+    // entry but the ExtJS stylesheet's, as {selector: '#HEX'}.  The dark
+    // variant makes them readable; a selector listed with several
+    // backgrounds, or on a gradient, gets a color that reads on all of them.
+    textColors = function (values) {
+        var colors = {},
+            pairs,
+            text,
+            backgrounds,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            pairs = ruleSets[i].contrast;
+
+            for (j = 0; j < pairs.length; j += 1) {
+                if (!/^\{\w+\}$/.test(pairs[j].text)) {
+                    text = colors[pairs[j].selector] || fill(pairs[j].text, values);
+                    backgrounds = backgroundColors(pairs[j].background, values);
+
+                    for (k = 0; k < backgrounds.length && dark; k += 1) {
+                        text = '#' + SassColor.readable(text.substring(1), backgrounds[k].substring(1), pairs[j].large ? 3 : 4.5);
+                    }
+                    colors[pairs[j].selector] = text;
+                }
+            }
+        }
+
+        return colors;
+    };
+
+    // The palette for color.  The dark variant adds a nameDarkText entry for
+    // each palette entry used as text, made readable on the backgrounds the
+    // contrast audit pairs it with, and leaves the entry itself as it is for
+    // the rules that use it as a background or border.
+    computePalette = function (color) {
+        var values = adjustPalette(color),
+            pairs,
+            name,
+            text,
+            backgrounds,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < ruleSets.length && dark; i += 1) {
+            pairs = ruleSets[i].contrast;
+
+            for (j = 0; j < pairs.length; j += 1) {
+                name = /^\{(\w+)\}$/.exec(pairs[j].text);
+                if (name) {
+                    text = values[name[1] + 'DarkText'] || values[name[1]];
+                    backgrounds = backgroundColors(pairs[j].background, values);
+
+                    for (k = 0; k < backgrounds.length; k += 1) {
+                        text = '#' + SassColor.readable(text.substring(1), backgrounds[k].substring(1), pairs[j].large ? 3 : 4.5);
+                    }
+                    values[name[1] + 'DarkText'] = text;
+                }
+            }
+        }
+
+        return values;
+    };
+
+    // A text color template with the palette entries swapped for their
+    // nameDarkText entries, where computePalette() added one.
+    textTemplate = function (template, values) {
+        return template.replace(/\{(\w+)\}/g, function (match, name) {
+            return values.hasOwnProperty(name + 'DarkText') ? '{' + name + 'DarkText}' : match;
+        });
+    };
+
+    // Replaces {name} in template with the palette color.  The colors written
+    // into the rules themselves, white gradient stops and the like, are
+    // turned around for the dark variant.
+    fill = function (template, values) {
+        if (dark) {
+            template = template.replace(/#([0-9A-Fa-f]{6}|[0-9A-Fa-f]{3})\b/g, function (match, hex) {
+                return '#' + SassColor.mirror(hex.length === 3 ? hex.replace(/(.)/g, '$1$1') : hex);
+            });
+        }
+
+        return template.replace(/\{(\w+)\}/g, function (match, name) {
+            if (!values.hasOwnProperty(name)) {
+                throw new Error('SassTheme: unknown palette entry "' + name + '"');
+            }
+            return values[name];
+        });
+    };
+
+    // The colors of a contrast pair's background: its one color, or each
+    // stop of a gradient without the stop position.
+    backgroundColors = function (background, values) {
+        var colors = [],
+            i;
+
+        background = background instanceof Array ? background : [background];
+
+        for (i = 0; i < background.length; i += 1) {
+            colors.push(fill(background[i], values).split(' ')[0]);
+        }
+
+        return colors;
+    };
+
+    // Returns the background-image values, one per vendor syntax, for a top
+    // to bottom gradient through the given (already filled) stops.
+    gradient = function (stops) {
+        var colorStops = [],
+            stop,
+            i;
+
+        for (i = 0; i < stops.length; i += 1) {
+            stop = stops[i].split(' ');
+            colorStops.push('color-stop(' + (stop[1] || (i === 0 ? '0%' : '100%')) + ', ' + stop[0] + ')');
+        }
+
+        stops = stops.join(', ');
+
+        return [
+            '-webkit-gradient(linear, 50% 0%, 50% 100%, ' + colorStops.join(', ') + ')',
+            '-webkit-linear-gradient(top, ' + stops + ')',
+            '-moz-linear-gradient(top, ' + stops + ')',
+            '-o-linear-gradient(top, ' + stops + ')',
+            '-ms-linear-gradient(top, ' + stops + ')',
+            'linear-gradient(top, ' + stops + ')'
+        ];
+    };
+
+    // Returns the theme as an array of css lines.  When a color vision
+    // deficiency is named (see SassColor.deficiencies) every color in the
+    // rules is replaced with how it would look to someone with it.  A scope
+    // selector limits the rules to elements inside it, so several themes can
+    // be previewed on one page.
+    css = function (color, deficiency, scope) {
+        var values = computePalette(color),
+            texts,
+            lines = [],
+            rules,
+            selector,
+            properties,
+            property,
+            value,
+            filled,
+            vendors,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            rules = ruleSets[i].rules;
+
+            for (j = 0; j < rules.length; j += 1) {
+                properties = rules[j].properties;
+                selector = rules[j].selector;
+
+                if (scope) {
+                    selector = scope + ' ' + selector.split(',').join(',' + scope + ' ');
+                }
+                lines.push(selector + ' {');
+
+                for (property in properties) {
+                    if (properties.hasOwnProperty(property)) {
+                        value = properties[property];
+
+                        if (value instanceof Array) {
+                            filled = [];
+                            for (k = 0; k < value.length; k += 1) {
+                                filled.push(fill(value[k], values));
+                            }
+                            filled = gradient(filled);
+
+                            for (k = 0; k < filled.length; k += 1) {
+                                lines.push('    ' + property + ': ' + filled[k] + ';');
+                            }
+                        } else {
+                            filled = fill(property === 'color' ? textTemplate(value, values) : value, values);
+                            vendors = prefixes[property] || [''];
+
+                            for (k = 0; k < vendors.length; k += 1) {
+                                lines.push('    ' + vendors[k] + property + ': ' + filled + ';');
+                            }
+                        }
+                    }
+                }
+
+                lines.push('}', '');
+            }
+        }
+
+        // Scoped light rules set the text color too, so the dark variant's
+        // text colors on the same page don't reach them
+        if (dark || scope) {
+            texts = textColors(values);
+
+            for (selector in texts) {
+                if (texts.hasOwnProperty(selector)) {
+                    lines.push((scope ? scope + ' ' + selector.split(',').join(',' + scope + ' ') : selector) + ' {',
+                        '    color: ' + texts[selector] + ';', '}', '');
+                }
+            }
+        }
+
+        if (deficiency) {
+            for (i = 0; i < lines.length; i += 1) {
+                lines[i] = lines[i].replace(/#([0-9A-Fa-f]{6})/g, function (match, hex) {
+                    return '#' + SassColor.simulate(hex, deficiency);
+                });
+            }
+        }
+
+        return lines;
+    };
+
+    toCss = function (color, minify) {
+        var text = css(color).join('\n'),
+            count = countOverrides();
+
+        color = color.toUpperCase();
+
+        if (minify) {
+            text = text.replace(/\s+/g, ' ')
+                .replace(/\s*([{}:;,])\s*/g, '$1')
+                .replace(/;}/g, '}');
+        }
+
+        return '/* Generated by ExtJS Sass Color Utility ' + version + ' - base color #' + color +
+            (profile.name !== defaultProfile ? ', ' + profile.label : '') + (dark ? ', dark variant' : '') + (count ? ', ' + count + ' color' + (count === 1 ? '' : 's') + ' overridden' : '') + ' */\n' + text + '\n';
+    };
+
+    // The adjust-color() call a palette entry stands for in scss.
+    expression = function (entry) {
+        return 'adjust-color($' + (entry.from || 'base-color') + ', $hue: ' + entry.hue + 'deg, $saturation: ' +
+            entry.saturation + '%, $lightness: ' + entry.lightness + '%)';
+    };
+
+    toScss = function (color) {
+        var scss = [
+                '// Generated by ExtJS Sass Color Utility ' + version + (profile.name !== defaultProfile ? ' for ' + profile.label : ''),
+                '$base-color: #' + baseColor(color) + ';' + (dark ? ' // dark variant of #' + color.toUpperCase() : ''),
+                ''
+            ],
+            values = computePalette(color),
+            entry,
+            i;
+
+        for (i = 0; i < palette.length; i += 1) {
+            entry = settings(palette[i]);
+            scss.push('$' + entry.name + ': ' + (entry.color ? '#' + entry.color : expression(entry)) + ';');
+        }
+
+        // Text the dark variant made readable is no longer the adjustment
+        for (i = 0; i < palette.length; i += 1) {
+            if (values.hasOwnProperty(palette[i].name + 'DarkText') && values[palette[i].name + 'DarkText'] !== values[palette[i].name]) {
+                scss.push('$' + palette[i].name + 'DarkText: ' + values[palette[i].name + 'DarkText'].toUpperCase() +
+                    '; // $' + palette[i].name + ' made readable');
+            }
+        }
+
+        return scss.join('\n') + '\n';
+    };
+
+    toJson = function (color) {
+        return JSON.stringify({
+            version: version,
+            baseColor: '#' + color.toUpperCase(),
+            profile: profile.name,
+            variant: dark ? 'dark' : undefined,
+            overrides: countOverrides() ? getOverrides() : undefined,
+            palette: computePalette(color)
+        }, null, 4) + '\n';
+    };
+
+    // The text colors the theme's css sets, as {selector: '#HEX'}, read back
+    // from the lines css() writes so they are what the preview shows.
+    renderedText = function (color) {
+        var lines = css(color),
+            colors = {},
+            selectors = [],
+            match,
+            i,
+            j;
+
+        for (i = 0; i < lines.length; i += 1) {
+            if (/ \{$/.test(lines[i])) {
+                selectors = lines[i].substring(0, lines[i].length - 2).split(',');
+            } else {
+                match = /^    color: (#[0-9A-Fa-f]{6})/.exec(lines[i]);
+                for (j = 0; match && j < selectors.length; j += 1) {
+                    colors[selectors[j]] = match[1];
+                }
+            }
+        }
+
+        return colors;
+    };
+
+    // Checks every registered text and background pair against the WCAG 2.x
+    // contrast levels.  The text is the color the theme's css gives the
+    // pair's element, or the ExtJS stylesheet's color when it sets none.  A
+    // gradient is checked stop by stop: background is the stop the text
+    // reads worst on, and stops lists them all.  Returns one result per pair,
+    // in rule set order; see unaudited() for what has no pairs.
+    audit = function (color) {
+        var values = computePalette(color),
+            texts = renderedText(color),
+            results = [],
+            pairs,
+            text,
+            stops,
+            background,
+            ratio,
+            stopRatio,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            pairs = ruleSets[i].contrast;
+
+            for (j = 0; j < pairs.length; j += 1) {
+                text = (texts[pairs[j].selector] || fill(textTemplate(pairs[j].text, values), values)).toUpperCase();
+                stops = backgroundColors(pairs[j].background, values);
+                ratio = null;
+
+                for (k = 0; k < stops.length; k += 1) {
+                    stops[k] = stops[k].toUpperCase();
+                    stopRatio = SassColor.contrast(text.substring(1), stops[k].substring(1));
+
+                    if (ratio === null || stopRatio < ratio) {
+                        ratio = stopRatio;
+                        background = stops[k];
+                    }
+                }
+
+                results.push({
+                    ruleSet: ruleSets[i].name,
+                    label: pairs[j].label,
+                    selector: pairs[j].selector,
+                    text: text,
+                    background: background,
+                    stops: stops,
+                    ratio: Math.round(ratio * 100) / 100,
+                    aa: ratio >= (pairs[j].large ? 3 : 4.5),
+                    aaa: ratio >= (pairs[j].large ? 4.5 : 7)
+                });
+            }
+        }
+
+        return results;
+    };
+
+    // The names of the rule sets that have rules but no contrast pairs, whose
+    // text the audit doesn't check.
+    unaudited = function () {
+        var names = [],
+            i;
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            if (ruleSets[i].rules.length && !ruleSets[i].contrast.length) {
+                names.push(ruleSets[i].name);
+            }
+        }
+
+        return names;
+    };
+
+    // The colors in a css value or rule template, in order, as hex without
+    // the '#'.  Template placeholders are returned as '{name}'.
+    colorsIn = function (value) {
+        var colors = [],
+            tokens = value.match(/\{\w+\}|#[0-9A-Fa-f]{3,8}\b|(?:rgb|hsl)a?\([^)]*\)|[a-zA-Z]+/g) || [],
+            color,
+            i;
+
+        for (i = 0; i < tokens.length; i += 1) {
+            color = tokens[i].charAt(0) === '{' ? tokens[i] : SassColor.parse(tokens[i]);
+            if (color) {
+                colors.push(color);
+            }
+        }
+
+        return colors;
+    };
+
+    // Finds the colors an existing theme gives the palette entries.  text is
+    // a compiled css file, whose rules are matched against the registered
+    // rules by selector and property, or a scss file setting $base-color or
+    // the palette entries to colors.  Returns [{rule, name, color}] where
+    // name is a palette entry or 'base-color'.
+    readTheme = function (text) {
+        var found = [],
+            declarations = {},
+            seen = {},
+            blockRe = /([^{}]+)\{([^{}]*)\}/g,
+            variableRe = /^\s*\$([\w\-]+)\s*:\s*([^;]+);/gm,
+            match,
+            selectors,
+            parts,
+            property,
+            templates,
+            names,
+            rules,
+            values,
+            colors,
+            color,
+            i,
+            j,
+            k,
+            m;
+
+        text = text.replace(/\/\*[\s\S]*?\*\//g, '');
+
+        while ((match = variableRe.exec(text)) !== null) {
+            color = SassColor.parse(match[2].replace(/!default/, '').replace(/^\s+|\s+$/g, ''));
+            if (color && (match[1] === 'base-color' || paletteIndex.hasOwnProperty(match[1]))) {
+                found.push({ rule: '$' + match[1], name: match[1], color: color });
+            }
+        }
+
+        // Every declaration in the css by selector and property, in the
+        // order they appear.
+        while ((match = blockRe.exec(text)) !== null) {
+            selectors = match[1].split(',');
+            parts = match[2].split(';');
+
+            for (i = 0; i < selectors.length; i += 1) {
+                selectors[i] = selectors[i].replace(/\s+/g, ' ').replace(/^ | $/g, '');
+                declarations[selectors[i]] = declarations[selectors[i]] || {};
+
+                for (j = 0; j < parts.length; j += 1) {
+                    k = parts[j].indexOf(':');
+                    if (k > 0) {
+                        property = parts[j].substring(0, k).replace(/^\s+|\s+$/g, '').replace(/^-(moz|webkit|o|ms)-/, '').toLowerCase();
+                        declarations[selectors[i]][property] = (declarations[selectors[i]][property] || []).concat(parts[j].substring(k + 1));
+                    }
+                }
+            }
+        }
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            rules = ruleSets[i].rules;
+
+            for (j = 0; j < rules.length; j += 1) {
+                selectors = rules[j].selector.split(',');
+
+                for (property in rules[j].properties) {
+                    if (rules[j].properties.hasOwnProperty(property)) {
+                        templates = [].concat(rules[j].properties[property]);
+                        names = colorsIn(templates.join(' '));
+
+                        for (k = 0; k < selectors.length; k += 1) {
+                            values = (declarations[selectors[k]] || {})[property] || [];
+
+                            // The last declaration with as many colors as the
+                            // rule, which skips e.g. the -webkit-gradient
+                            // fallback of a gradient with a different layout.
+                            colors = null;
+                            for (m = values.length - 1; m >= 0 && !colors; m -= 1) {
+                                colors = colorsIn(values[m]);
+                                if (colors.length !== names.length) {
+                                    colors = null;
+                                }
+                            }
+
+                            for (m = 0; colors && m < names.length; m += 1) {
+                                if (names[m].charAt(0) === '{' && !seen[selectors[k] + property + names[m]]) {
+                                    seen[selectors[k] + property + names[m]] = true;
+                                    found.push({
+                                        rule: selectors[k] + ' ' + property,
+                                        name: names[m].substring(1, names[m].length - 1),
+                                        color: colors[m]
+                                    });
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        return found;
+    };
+
+    // The rules css() writes for color that apply to an element, test being
+    // called with each selector of a rule and returning whether it matches.
+    // Returns one result per property of the matching rules, with the
+    // filled value and the palette entries it uses:
+    //
+    //     { ruleSet: 'panel', selector: '.x-panel-header-default', property: 'border-color',
+    //       value: '#99BCE8', entries: [{ name: 'c99bce8', color: '#99BCE8', from: 'base-color',
+    //       hue: 0, saturation: 7.644, lightness: -8.627, expression: 'adjust-color(...)',
+    //       fromBase: null }] }
+    inspect = function (color, test) {
+        var values = computePalette(color),
+            results = [],
+            rules,
+            selectors,
+            selector,
+            property,
+            value,
+            names,
+            entries,
+            entry,
+            i,
+            j,
+            k;
+
+        for (i = 0; i < ruleSets.length; i += 1) {
+            rules = ruleSets[i].rules;
+
+            for (j = 0; j < rules.length; j += 1) {
+                selectors = rules[j].selector.split(',');
+                selector = null;
+
+                for (k = 0; k < selectors.length && !selector; k += 1) {
+                    if (test(selectors[k])) {
+                        selector = selectors[k];
+                    }
+                }
+
+                for (property in rules[j].properties) {
+                    if (selector && rules[j].properties.hasOwnProperty(property)) {
+                        value = [].concat(rules[j].properties[property]);
+                        names = colorsIn(value.join(' '));
+                        entries = [];
+
+                        for (k = 0; k < names.length; k += 1) {
+                            if (names[k].charAt(0) === '{' && names.indexOf(names[k]) === k) {
+                                entry = settings(paletteIndex[names[k].substring(1, names[k].length - 1)]);
+                                entries.push({
+                                    name: entry.name,
+                                    color: values[entry.name].toUpperCase(),
+                                    from: entry.from || 'base-color',
+                                    hue: entry.hue,
+                                    saturation: entry.saturation,
+                                    lightness: entry.lightness,
+                                    expression: entry.color ? '#' + entry.color : expression(entry),
+                                    // The same color as one adjustment of the
+                                    // base color, for entries made from another
+                                    // or given a fixed color
+                                    fromBase: entry.from || entry.color ?
+                                            expression(SassColor.findAdjustment(baseColor(color), values[entry.name].substring(1))) : null
+                                });
+                            }
+                        }
+
+                        results.push({
+                            ruleSet: ruleSets[i].name,
+                            selector: selector,
+                            property: property,
+                            value: fill(property === 'color' ? textTemplate(value.join(', '), values) : value.join(', '), values),
+                            entries: entries
+                        });
+                    }
+                }
+            }
+        }
+
+        return results;
+    };
+
+    // Estimates the base color of an existing theme (see readTheme) as the
+    // one whose palette comes closest to the colors found.  Returns the
+    // color and, for every color found, the rule, the palette entry, the
+    // color in the file, the color the estimate gives and the distance
+    // between the two in rgb, 0 being an exact match.
+    estimate = function (text) {
+        var found = readTheme(text),
+            guesses = { r: [], g: [], b: [] },
+            distance,
+            cost,
+            best,
+            bestCost,
+            current,
+            candidate,
+            values,
+            entry,
+            hsl,
+            rgb,
+            step,
+            moved,
+            results = [],
+            total = 0,
+            dr,
+            dg,
+            db,
+            i;
+
+        if (!found.length) {
+            throw new Error('SassTheme: none of the theme colors were found in the file');
+        }
+
+        distance = function (color1, color2) {
+            var rgb1 = SassColor.hexToRgb(color1),
+                rgb2 = SassColor.hexToRgb(color2);
+
+            return Math.sqrt(Math.pow(rgb1.r - rgb2.r, 2) + Math.pow(rgb1.g - rgb2.g, 2) + Math.pow(rgb1.b - rgb2.b, 2));
+        };
+
+        cost = function (color) {
+            var sum = 0,
+                j;
+
+            values = computePalette(color);
+            values['base-color'] = '#' + color;
+
+            for (j = 0; j < found.length; j += 1) {
+                sum += Math.pow(distance(values[found[j].name].substring(1), found[j].color), 2);
+            }
+
+            return sum;
+        };
+
+        // Start from the median of the base colors each color found points
+        // to when its adjustments are undone.
+        for (i = 0; i < found.length; i += 1) {
+            rgb = SassColor.hexToRgb(found[i].color);
+            hsl = SassColor.rgbToHsl(rgb.r, rgb.g, rgb.b);
+
+            for (entry = paletteIndex[found[i].name]; entry; entry = paletteIndex[entry.from]) {
+                hsl.h -= entry.hue;
+                hsl.s -= entry.saturation;
+                hsl.l -= entry.lightness;
+            }
+
+            rgb = SassColor.hslToRgb(hsl.h, hsl.s, hsl.l);
+            guesses.r.push(rgb.r);
+            guesses.g.push(rgb.g);
+            guesses.b.push(rgb.b);
+        }
+
+        for (i in guesses) {
+            if (guesses.hasOwnProperty(i)) {
+                guesses[i].sort(function (a, b) {
+                    return a - b;
+                });
+                guesses[i] = Math.round(guesses[i][Math.floor(guesses[i].length / 2)]);
+            }
+        }
+
+        // Then walk to the neighbouring color that does better, in smaller
+        // and smaller steps.
+        current = guesses;
+        best = SassColor.rgbToHex(current.r, current.g, current.b);
+        bestCost = cost(best);
+
+        for (step = 32; step >= 1; step /= 2) {
+            do {
+                moved = false;
+
+                for (dr = -step; dr <= step; dr += step) {
+                    for (dg = -step; dg <= step; dg += step) {
+                        for (db = -step; db <= step; db += step) {
+                            candidate = SassColor.rgbToHex(current.r + dr, current.g + dg, current.b + db);
+                            i = cost(candidate);
+                            if (i < bestCost) {
+                                best = candidate;
+                                bestCost = i;
+                                moved = true;
+                            }
+                        }
+                    }
+                }
+
+                current = SassColor.hexToRgb(best);
+            } while (moved);
+        }
+
+        cost(best);
+        for (i = 0; i < found.length; i += 1) {
+            results.push({
+                rule: found[i].rule,
+                name: found[i].name,
+                expected: '#' + found[i].color,
+                actual: values[found[i].name].toUpperCase(),
+                error: Math.round(distance(values[found[i].name].substring(1), found[i].color) * 10) / 10
+            });
+            total += results[i].error;
+        }
+
+        return {
+            color: best,
+            error: Math.round(total / found.length * 10) / 10,
+            rules: results
+        };
+    };
+
+    // The theme of the ExtJS 4.0.7 gray stylesheet, which the rule sets
+    // below are registered to.
+    registerProfile({
+        name: defaultProfile,
+        label: 'Ext 4.0.7 classic',
+        ext: 'ext-4.0.7',
+        stylesheet: 'ext-all-gray.css',
+        defaultColor: 'C0D4ED'
+    });
+    setProfile(defaultProfile);
+
+    // Every color the theme derives from the base color, named after its value
+    // in the default blue theme.  Entries with a "from" are adjusted from an
+    // earlier entry instead of the base color.
+    register({
+        name: 'palette',
+        palette: [
+            { name: 'ecf2fb', hue: 0, saturation: 6.5, lightness: 11.25 },
+            { name: 'e4f3ff', hue: -6.667, saturation: 44.444, lightness: 10.588 },
+            { name: 'b6cbe4', hue: -0.725, saturation: -9.556, lightness: -3.725 },
+            { name: 'd9edff', hue: -6, saturation: 42, lightness: 8.25 },
+            { name: 'c2d8f2', hue: -1, saturation: 8.5, lightness: 1.25 },
+            { name: 'c6dcf6', hue: -1, saturation: 16.5, lightness: 3 },
+            { name: 'bfd2e6', hue: -4, saturation: -12.25, lightness: -1.75 },
+            { name: 'c8dc0f5', hue: -3, saturation: 27.75, lightness: -8.5 },
+            { name: 'c98c5f5', hue: -2, saturation: 26.25, lightness: -6.25 },
+            { name: 'c99bce8', hue: 0, saturation: 7.644, lightness: -8.627 },
+            { name: 'dfe8f6', hue: 3.188, saturation: 0.542, lightness: 7.843 },
+            { name: 'dbeeff', hue: -6, saturation: 41.75, lightness: 8.75 },
+            { name: 'd0e7ff', hue: -3, saturation: 42.5, lightness: 6.5 },
+            { name: 'bbd2f0', hue: 0, saturation: 7.5, lightness: -0.5 },
+            { name: 'bed6f5', hue: 0, saturation: 17, lightness: 1 },
+            { name: 'bccfe5', hue: -2, saturation: -12, lightness: -2.5 },
+            { name: 'c5d6e7', hue: -4, saturation: -15, lightness: -0.25 },
+            { name: 'c95c4f4', hue: -3, saturation: 25.25, lightness: -7 },
+            { name: 'c9fc9f5', hue: -3, saturation: 24.75, lightness: -5 },
+            { name: 'd3e1f1', hue: -2, saturation: -5.5, lightness: 4.5 },
+            { name: 'dfe9f5', hue: -2, saturation: -4.5, lightness: 7.5 },
+            { name: 'cbddf3', hue: -1, saturation: 5.75, lightness: 3.25 },
+            { name: 'dae7f6', hue: -2, saturation: 3.75, lightness: 6.75 },
+            { name: 'cddef3', hue: 0, saturation: 4.5, lightness: 3.75 },
+            { name: 'abc7ec', hue: 0, saturation: 7, lightness: -4.5 },
+            { name: 'b8cfee', hue: 1, saturation: 5, lightness: -1.5 },
+            { name: 'f4f8fd', hue: -4, saturation: 7.25, lightness: 13.25 },
+            { name: 'd9e7f8', hue: -1, saturation: 11.5, lightness: 7 },
+            { name: 'f3f7fb', hue: -7, saturation: -11.5, lightness: 12.75 },
+            { name: 'c04408c', from: 'dfe8f6', hue: 0, saturation: 38.347, lightness: -63.725 },
+            { name: 'dfe9f6', hue: -1, saturation: -1.25, lightness: 7.75 },
+            { name: 'a3bad9', hue: 1, saturation: -14.25, lightness: -9.75 },
+            { name: 'd9e8fb', hue: -1, saturation: 23.5, lightness: 7.5 },
+            { name: 'e7f0fc', hue: -1, saturation: 19, lightness: 10.5 },
+            { name: 'c7ddf9', hue: 0, saturation: 24, lightness: 3.75 },
+            { name: 'ebf3fd', hue: -2, saturation: 22.25, lightness: 11.5 },
+            { name: 'aaccf6', hue: 0, saturation: 24.75, lightness: -2.5 },
+            { name: 'a3bae9', hue: 7, saturation: 5.25, lightness: -6.5 },
+            { name: 'deecfd', hue: -1, saturation: 30.25, lightness: 9 },
+            { name: 'f5f9fe', hue: -2, saturation: 19.25, lightness: 13.75 },
+            { name: 'dde8f5', hue: -2, saturation: -3.25, lightness: 7.25 },
+            { name: 'cbdbef', hue: -1, saturation: -3.75, lightness: 2.5 },
+            { name: 'd6e6fa', hue: -1, saturation: 21, lightness: 6.75 },
+            { name: 'ccdef6', hue: 0, saturation: 13.25, lightness: 4 },
+            { name: 'cbdaee', hue: 0, saturation: -5.75, lightness: 2.25 },
+            { name: 'c7d8ed', hue: -1, saturation: -5, lightness: 1.25 },
+            { name: 'd1dff0', hue: -2, saturation: -5.5, lightness: 3.75 },
+            { name: 'dee8f5', hue: 0, saturation: -3.5, lightness: 7.5 },
+            { name: 'dfecfb', hue: -2, saturation: 19.75, lightness: 8.75 },
+            { name: 'b2d1f5', hue: -1, saturation: 20.5, lightness: -1.25 },
+            { name: 'edf4fd', hue: -1, saturation: 22.5, lightness: 12 },
+            { name: 'cde1f9', hue: -1, saturation: 21.75, lightness: 4.75 },
+            { name: 'c264888', hue: 6, saturation: 0.25, lightness: -50 },
+            { name: 'c1f3a6c', hue: 5, saturation: 0, lightness: -57 },
+            { name: 'ddecfe', hue: -1, saturation: 36, lightness: 9 },
+            { name: 'c15428b', hue: 4, saturation: 17.75, lightness: -52.75 },
+            { name: 'a2b1c5', hue: 0.952, saturation: -32.377, lightness: -13.725 },
+            { name: 'ced9e7', hue: 0.267, saturation: -21.309, lightness: 1.569 },
+            { name: 'c99bbe8', hue: 0.844, saturation: 7.644, lightness: -8.627 },
+            { name: 'c04468c', hue: -2.451, saturation: 38.889, lightness: -55.882 },
+            { name: 'b0ccf2', hue: 1, saturation: 15.25, lightness: -2.25 },
+            { name: 'c9ebae1', from: 'b6cbe4', hue: 2.317, saturation: 6.756, lightness: -5.294 },
+            { name: 'c81a4d0', hue: 0, saturation: -10.25, lightness: -18 },
+            { name: 'c7a9ac4', hue: 1, saturation: -17.25, lightness: -21.75 },
+            { name: 'a9cbf5', hue: 0, saturation: 22.75, lightness: -3 },
+            { name: 'dae5f3', hue: -1, saturation: -6.25, lightness: 6.25 },
+            { name: 'c8db2e3', hue: 1, saturation: 4.5, lightness: -12 },
+            { name: 'c8db3e3', hue: 0, saturation: 4.5, lightness: -12 },
+            { name: 'c416da3', hue: 0, saturation: -12.75, lightness: -39.25 },
+            { name: 'c15498b', hue: 0, saturation: 17.75, lightness: -52.75 },
+            { name: 'c1b376c', hue: 6, saturation: 4, lightness: -57.5 },
+            { name: 'c23427c', hue: 6, saturation: 0.25, lightness: -53 },
+            { name: 'c233d6d', hue: 5, saturation: -4, lightness: -56 },
+            { name: 'c3daf9', hue: 1, saturation: 25.75, lightness: 3 }
+        ]
+    });
+
+    register({
+        name: 'window',
+        rules: [{
+            selector: '.x-window-default',
+            properties: {
+                'border-color': '{a2b1c5}',
+                'box-shadow': '{ecf2fb} 0 1px 0px 0 inset, {ecf2fb} 0 -1px 0px 0 inset, {ecf2fb} -1px 0 0px 0 inset, {ecf2fb} 1px 0 0px 0 inset',
+                'background-color': '{ced9e7}'
+            }
+        }, {
+            selector: '.x-window-header-default-top',
+            properties: {
+                'background-color': '{ced9e7}'
+            }
+        }, {
+            selector: '.x-window-body-default',
+            properties: {
+                'border-color': '{c99bbe8}',
+                background: '{dfe8f6}'
+            }
+        }, {
+            selector: '.x-window-header-default',
+            properties: {
+                'border-color': '{c99bbe8}'
+            }
+        }, {
+            selector: '.x-window-header-text-default',
+            properties: {
+                color: '{c04468c}'
+            }
+        }],
+        contrast: [
+            { label: 'Window title', selector: '.x-window-header-text-default', text: '{c04468c}', background: '{ced9e7}' }
+        ]
+    });
+
+    register({
+        name: 'button',
+        rules: [{
+            selector: '.x-btn-default-small-over',
+            properties: {
+                'border-color': '{b0ccf2}',
+                'background-color': '{e4f3ff}',
+                'background-image': ['{e4f3ff}', '{d9edff} 48%', '{c2d8f2} 52%', '{c6dcf6}']
+            }
+        }, {
+            selector: '.x-btn-default-small-menu-active,.x-btn-default-small-pressed',
+            properties: {
+                'border-color': '{c9ebae1}',
+                'background-color': '{b6cbe4}',
+                'background-image': ['{b6cbe4}', '{bfd2e6} 48%', '{c8dc0f5} 52%', '{c98c5f5}']
+            }
+        }, {
+            selector: '.x-btn-default-toolbar-small-over',
+            properties: {
+                'border-color': '{c81a4d0}',
+                'background-color': '{dbeeff}',
+                'background-image': ['{dbeeff}', '{d0e7ff} 48%', '{bbd2f0} 52%', '{bed6f5}']
+            }
+        }, {
+            selector: '.x-btn-default-toolbar-small-menu-active,.x-btn-default-toolbar-small-pressed',
+            properties: {
+                'border-color': '{c7a9ac4}',
+                'background-color': '{bccfe5}',
+                'background-image': ['{bccfe5}', '{c5d6e7} 48%', '{c95c4f4} 52%', '{c9fc9f5}']
+            }
+        }],
+        contrast: [
+            { label: 'Button, pressed', selector: '.x-btn-default-small .x-btn-inner', text: '#333333',
+                background: ['{b6cbe4}', '{bfd2e6} 48%', '{c8dc0f5} 52%', '{c98c5f5}'] },
+            { label: 'Toolbar button, hover', selector: '.x-btn-default-toolbar-small .x-btn-inner', text: '#333333',
+                background: ['{dbeeff}', '{d0e7ff} 48%', '{bbd2f0} 52%', '{bed6f5}'] }
+        ]
+    });
+
+    register({
+        name: 'toolbar',
+        rules: [{
+            selector: '.x-toolbar-default',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{d3e1f1}',
+                'background-image': ['{dfe9f5}', '{d3e1f1}']
+            }
+        }],
+        contrast: [
+            { label: 'Toolbar', selector: '.x-toolbar-default .x-toolbar-text', text: '#000000', background: ['{dfe9f5}', '{d3e1f1}'] }
+        ]
+    });
+
+    register({
+        name: 'panel',
+        rules: [{
+            selector: '.x-panel-default',
+            properties: {
+                'border-color': '{c99bce8}'
+            }
+        }, {
+            selector: '.x-panel-header-default',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{cbddf3}',
+                'background-image': ['{dae7f6}', '{cddef3} 45%', '{abc7ec} 46%', '{abc7ec} 50%', '{b8cfee} 51%', '{cbddf3}'],
+                'box-shadow': '{f4f8fd} 0 1px 0px 0 inset'
+            }
+        }, {
+            selector: '.x-panel-header-text-default',
+            properties: {
+                color: '{c04408c}'
+            }
+        }, {
+            selector: '.x-panel-body-default',
+            properties: {
+                'border-color': '{c99bce8}'
+            }
+        }, {
+            selector: '.x-panel-collapsed .x-window-header-default,.x-panel-collapsed .x-panel-header-default',
+            properties: {
+                'border-color': '{c99bce8}'
+            }
+        }, {
+            selector: '.x-panel-header-default-framed-top',
+            properties: {
+                'background-color': '{cbddf3}',
+                'background-image': ['{dae7f6}', '{cddef3} 45%', '{abc7ec} 46%', '{abc7ec} 50%', '{b8cfee} 51%', '{cbddf3}']
+            }
+        }, {
+            selector: '.x-panel-header-default-framed',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{cbddf3}',
+                'background-image': ['{dae7f6}', '{cddef3} 45%', '{abc7ec} 46%', '{abc7ec} 50%', '{b8cfee} 51%', '{cbddf3}'],
+                'box-shadow': '{f4f8fd} 0 1px 0px 0 inset'
+            }
+        }, {
+            selector: '.x-panel-header-text-default-framed',
+            properties: {
+                color: '{c04408c}'
+            }
+        }, {
+            selector: '.x-panel-default-framed',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{dfe9f6}'
+            }
+        }, {
+            selector: '.x-panel-body-default-framed',
+            properties: {
+                background: '{dfe9f6}',
+                'border-color': '{c99bce8}'
+            }
+        }],
+        contrast: [
+            { label: 'Panel title', selector: '.x-panel-header-text-default', text: '{c04408c}',
+                background: ['{dae7f6}', '{cddef3} 45%', '{abc7ec} 46%', '{abc7ec} 50%', '{b8cfee} 51%', '{cbddf3}'] },
+            { label: 'Framed panel title', selector: '.x-panel-header-text-default-framed', text: '{c04408c}',
+                background: ['{dae7f6}', '{cddef3} 45%', '{abc7ec} 46%', '{abc7ec} 50%', '{b8cfee} 51%', '{cbddf3}'] }
+        ]
+    });
+
+    register({
+        name: 'accordion',
+        rules: [{
+            selector: '.x-accordion-hd',
+            properties: {
+                background: '{d9e7f8} !important',
+                'box-shadow': 'inset 0 0 0 0 {d9e7f8}'
+            }
+        }, {
+            selector: '.x-accordion-hd-sibling-expanded',
+            properties: {
+                'border-top-color': '{c99bce8} !important',
+                'box-shadow': 'inset 0 1px 0 0 {f3f7fb}'
+            }
+        }]
+    });
+
+    register({
+        name: 'mask',
+        rules: [{
+            selector: '.x-mask-msg',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{dfe9f6}'
+            }
+        }, {
+            selector: '.x-mask-msg div',
+            properties: {
+                border: '1px solid {a3bad9}'
+            }
+        }],
+        contrast: [
+            { label: 'Load mask message', selector: '.x-mask-msg div', text: '#222222', background: '{dfe9f6}' }
+        ]
+    });
+
+    register({
+        name: 'grid',
+        rules: [{
+            selector: '.x-grid-row-selected .x-grid-cell,.x-grid-row-selected .x-grid-rowwrap-div',
+            properties: {
+                'border-color': '{a3bae9}',
+                'background-color': '{dfe8f6} !important'
+            }
+        }, {
+            selector: '.x-column-header-over,.x-column-header-sort-ASC,.x-column-header-sort-DESC',
+            properties: {
+                'border-left-color': '{aaccf6}',
+                'border-right-color': '{aaccf6}',
+                'background-color': '{aaccf6}',
+                'background-image': ['{ebf3fd}', '{ebf3fd} 39%', '{d9e8fb} 40%', '{d9e8fb}']
+            }
+        }, {
+            selector: '.x-grid-header-ct',
+            properties: {
+                border: '1px solid {c99bce8}'
+            }
+        }, {
+            selector: '.x-panel .x-grid-body',
+            properties: {
+                'border-color': '{c99bce8}'
+            }
+        }, {
+            selector: '.x-column-header-trigger',
+            properties: {
+                'background-color': '{c3daf9}'
+            }
+        }],
+        contrast: [
+            { label: 'Grid row, selected', selector: '.x-grid-row-selected .x-grid-cell', text: '#000000', background: '{dfe8f6}' },
+            { label: 'Grid column header, hover', selector: '.x-column-header .x-column-header-inner', text: '#000000',
+                background: ['{ebf3fd}', '{ebf3fd} 39%', '{d9e8fb} 40%', '{d9e8fb}'] }
+        ]
+    });
+
+    register({
+        name: 'menu',
+        rules: [{
+            selector: '.x-menu-item-active .x-menu-item-link',
+            properties: {
+                'background-color': '{d9e8fb}',
+                'background-image': ['{e7f0fc}', '{c7ddf9}'],
+                border: '1px solid {a9cbf5}'
+            }
+        }],
+        contrast: [
+            { label: 'Menu item, active', selector: '.x-menu-item-active .x-menu-item-text', text: '#222222', background: ['{e7f0fc}', '{c7ddf9}'] }
+        ]
+    });
+
+    register({
+        name: 'datepicker',
+        rules: [{
+            selector: 'table.x-datepicker-inner .x-datepicker-selected a',
+            properties: {
+                'background-color': '{dae5f3}',
+                border: '1px solid {c8db2e3}'
+            }
+        }, {
+            selector: '.x-datepicker-footer,.x-monthpicker-buttons',
+            properties: {
+                'border-top': '1px solid {b2d1f5}',
+                'background-color': '{dfecfb}',
+                'background-image': ['{dee8f5}', '{d1dff0} 49%', '{c7d8ed} 51%', '{cbdaee}']
+            }
+        }, {
+            selector: '.x-datepicker',
+            properties: {
+                border: '1px solid {c1b376c}'
+            }
+        }, {
+            selector: '.x-datepicker a',
+            properties: {
+                color: '{c15428b}'
+            }
+        }, {
+            selector: '.x-datepicker-header',
+            properties: {
+                'background-color': '{c23427c}',
+                'background-image': ['{c264888}', '{c1f3a6c}']
+            }
+        }, {
+            selector: 'table.x-datepicker-inner th',
+            properties: {
+                color: '{c233d6d}',
+                'border-bottom': '1px solid {b2d1f5}',
+                'background-color': '{dfecfb}',
+                'background-image': ['{edf4fd}', '{cde1f9}']
+            }
+        }, {
+            selector: 'table.x-datepicker-inner a:hover,table.x-datepicker-inner .x-datepicker-disabled a:hover',
+            properties: {
+                'background-color': '{ddecfe}'
+            }
+        }, {
+            selector: '.x-monthpicker-item a.x-monthpicker-selected',
+            properties: {
+                'background-color': '{dfecfb}',
+                border: '1px solid {c8db2e3}'
+            }
+        }, {
+            selector: '.x-monthpicker-item a:hover',
+            properties: {
+                'background-color': '{ddecfe}'
+            }
+        }],
+        contrast: [
+            { label: 'Date picker day', selector: '.x-datepicker a', text: '{c15428b}', background: '#ffffff' },
+            { label: 'Date picker weekday', selector: 'table.x-datepicker-inner th', text: '{c233d6d}', background: ['{edf4fd}', '{cde1f9}'] },
+            { label: 'Date picker month', selector: '.x-datepicker-month .x-btn-inner', text: '#ffffff', background: ['{c264888}', '{c1f3a6c}'] }
+        ]
+    });
+
+    register({
+        name: 'tab',
+        rules: [{
+            selector: '.x-tab-bar',
+            properties: {
+                'background-color': '{cbdbef}',
+                'background-image': ['{dde8f5}', '{cbdbef}']
+            }
+        }, {
+            selector: '.x-tab-bar-body',
+            properties: {
+                'border-color': '{c99bce8}'
+            }
+        }, {
+            selector: '.x-tab-default-top',
+            properties: {
+                'border-bottom': '1px solid {c99bce8} !important',
+                'background-color': '{deecfd}',
+                'background-image': ['{ccdef6}', '{d6e6fa} 25%', '{deecfd} 45%']
+            }
+        }, {
+            selector: '.x-tab',
+            properties: {
+                'border-color': '{c8db3e3}'
+            }
+        }, {
+            selector: '.x-tab button',
+            properties: {
+                color: '{c416da3}'
+            }
+        }, {
+            selector: '.x-tab-active button',
+            properties: {
+                color: '{c15498b}'
+            }
+        }, {
+            selector: '.x-tab-top-active',
+            properties: {
+                'background-color': '{deecfd}',
+                'background-image': ['#ffffff', '{f5f9fe} 25%', '{deecfd} 45%']
+            }
+        }, {
+            selector: '.x-tab-default-top-active',
+            properties: {
+                'border-bottom-color': '{deecfd} !important'
+            }
+        }, {
+            selector: '.x-tab-bar-strip-default,.x-tab-bar-strip-default-plain',
+            properties: {
+                'border-color': '{c99bce8}',
+                'background-color': '{deecfd}'
+            }
+        }],
+        contrast: [
+            { label: 'Tab', selector: '.x-tab button', text: '{c416da3}', background: ['{ccdef6}', '{d6e6fa} 25%', '{deecfd} 45%'] },
+            { label: 'Tab, active', selector: '.x-tab-active button', text: '{c15498b}', background: ['#ffffff', '{f5f9fe} 25%', '{deecfd} 45%'] }
+        ]
+    });
+
+    register({
+        name: 'fieldset',
+        rules: [{
+            selector: '.x-fieldset-header',
+            properties: {
+                color: '{c15428b}'
+            }
+        }],
+        contrast: [
+            { label: 'Fieldset title', selector: '.x-fieldset-header', text: '{c15428b}', background: '#ffffff' }
+        ]
+    });
+
+    register({
+        name: 'form',
+        palette: [
+            { name: 'c7eadd9', hue: -4.322, saturation: -1.065, lightness: -16.863 },
+            { name: 'c98c0f4', hue: 0.58, saturation: 25.146, lightness: -6.471 }
+        ],
+        rules: [{
+            selector: '.x-form-focus,textarea.x-form-focus',
+            properties: {
+                'border-color': '{c7eadd9}'
+            }
+        }, {
+            selector: '.x-trigger-wrap-focus .x-form-trigger,.x-form-trigger-over',
+            properties: {
+                'border-bottom-color': '{c7eadd9}'
+            }
+        }, {
+            // Invalid fields stay red whatever the base color, as in Sencha's
+            // themes, but are listed so they are styled next to focused ones.
+            selector: '.x-form-invalid-field,textarea.x-form-invalid-field',
+            properties: {
+                'border-color': '#cc3300'
+            }
+        }, {
+            selector: '.x-boundlist',
+            properties: {
+                'border-color': '{c98c0f4}'
+            }
+        }, {
+            selector: '.x-boundlist-item-over',
+            properties: {
+                'background-color': '{dfe8f6}',
+                'border-color': '{a3bae9}'
+            }
+        }, {
+            selector: '.x-boundlist-selected',
+            properties: {
+                'background-color': '{b8cfee}',
+                'border-color': '{a3bae9}'
+            }
+        }],
+        contrast: [
+            { label: 'Combo list item, selected', selector: '.x-boundlist-item.x-boundlist-selected', text: '#000000', background: '{b8cfee}' }
+        ]
+    });
+
+    register({
+        name: 'checkbox',
+        rules: [{
+            selector: '.x-form-cb-focus ~ .x-form-cb-label',
+            properties: {
+                color: '{c15428b}'
+            }
+        }, {
+            selector: '.x-form-invalid .x-form-checkboxgroup-body,.x-form-invalid .x-form-radiogroup-body',
+            properties: {
+                border: '1px solid #cc3300'
+            }
+        }],
+        contrast: [
+            { label: 'Checkbox label, focused', selector: '.x-form-cb-focus ~ .x-form-cb-label', text: '{c15428b}', background: '#ffffff' }
+        ]
+    });
+
+    register({
+        name: 'tree',
+        palette: [
+            { name: 'd0e3fa', hue: -0.476, saturation: 25.214, lightness: 5.686 }
+        ],
+        rules: [{
+            selector: '.x-tree-panel .x-grid-row-over .x-grid-cell',
+            properties: {
+                'background-color': '{d0e3fa}'
+            }
+        }, {
+            selector: '.x-tree-panel .x-grid-row-selected .x-grid-cell',
+            properties: {
+                'border-style': 'dotted',
+                'border-color': '{a3bae9}'
+            }
+        }],
+        contrast: [
+            { label: 'Tree node, hover', selector: '.x-tree-panel .x-grid-cell', text: '#000000', background: '{d0e3fa}' }
+        ]
+    });
+
+    register({
+        name: 'tooltip',
+        palette: [
+            { name: 'e9f2ff', hue: 2.121, saturation: 44.444, lightness: 11.569 },
+            { name: 'c94abc6', from: 'e9f2ff', hue: -1.705, saturation: -60.494, lightness: -27.451 }
+        ],
+        rules: [{
+            selector: '.x-tip',
+            properties: {
+                'border-color': '{c94abc6}',
+                'background-color': '{e9f2ff}'
+            }
+        }, {
+            selector: '.x-tip-header-text-container',
+            properties: {
+                color: '{c04468c}'
+            }
+        }],
+        contrast: [
+            { label: 'Tooltip title', selector: '.x-tip-header-text-container', text: '{c04468c}', background: '{e9f2ff}' }
+        ]
+    });
+
+    register({
+        name: 'progress',
+        palette: [
+            { name: 'c6594cf', hue: 0, saturation: -3.08, lightness: -23.725 },
+            { name: 'e0e8f3', hue: 0, saturation: -11.37, lightness: 7.451 },
+            { name: 'c73a3df', hue: 0, saturation: 8.187, lightness: -17.647 },
+            { name: 'c9cbee8', from: 'c73a3df', hue: 0, saturation: 0, lightness: 10 },
+            { name: 'c396095', hue: 0, saturation: -10.895, lightness: -43.725 }
+        ],
+        rules: [{
+            selector: '.x-progress-default',
+            properties: {
+                'border-color': '{c6594cf}',
+                'background-color': '{e0e8f3}'
+            }
+        }, {
+            selector: '.x-progress-default .x-progress-bar',
+            properties: {
+                'border-top-color': '{c9cbee8}',
+                'border-bottom-color': '{c6594cf}',
+                'background-color': '{c73a3df}',
+                'background-image': ['{c9cbee8}', '{c73a3df}']
+            }
+        }, {
+            selector: '.x-progress-default .x-progress-text-back',
+            properties: {
+                color: '{c396095}'
+            }
+        }],
+        contrast: [
+            { label: 'Progress text', selector: '.x-progress-default .x-progress-text-back', text: '{c396095}', background: '{e0e8f3}' },
+            { label: 'Progress text over the bar', selector: '.x-progress-default .x-progress-bar .x-progress-text', text: '#ffffff',
+                background: ['{c9cbee8}', '{c73a3df}'] }
+        ]
+    });
+
+    register({
+        name: 'splitter',
+        rules: [{
+            selector: '.x-border-layout-ct',
+            properties: {
+                'background-color': '{dfe8f6}'
+            }
+        }, {
+            selector: '.x-splitter-active',
+            properties: {
+                'background-color': '{c99bce8}'
+            }
+        }]
+    });
+
+    register({
+        name: 'messagebox',
+        rules: [{
+            selector: '.x-message-box .x-window-body',
+            properties: {
+                'background-color': '{ced9e7}',
+                border: 'none'
+            }
+        }],
+        contrast: [
+            { label: 'Message box', selector: '.x-message-box .x-form-display-field', text: '#000000', background: '{ced9e7}' }
+        ]
+    });
+
+    register({
+        name: 'paging',
+        palette: [
+            { name: 'c98c8ff', hue: -1.294, saturation: 44.444, lightness: -4.314 }
+        ],
+        rules: [{
+            selector: '.x-toolbar .x-toolbar-separator-horizontal',
+            properties: {
+                'border-left-color': '{c98c8ff}',
+                'border-right-color': '#ffffff'
+            }
+        }]
+    });
+
+    // 4.1 moved the panel, window and tab text into their own elements.
+    // Its panel header text is made from a panel base color without the
+    // 3.188deg hue shift of $dfe8f6, which comes to one adjustment of the
+    // base color.  The classic profiles share the sample components: they
+    // are component configs, which 4.1 and 4.2 render with the renamed
+    // classes below, so none needs a sample function of its own.
+    registerProfile({
+        name: 'classic-4.1',
+        label: 'Ext 4.1 classic',
+        ext: 'ext-4.1.1',
+        stylesheet: 'ext-all-gray.css',
+        defaultColor: 'C0D4ED',
+        extend: defaultProfile,
+        selectors: {
+            '.x-panel-header-text-default': '.x-panel-header-text-container-default',
+            '.x-window-header-text-default': '.x-window-header-text-container-default',
+            '.x-tab button': '.x-tab .x-tab-inner',
+            '.x-tab-active button': '.x-tab-active .x-tab-inner'
+        },
+        adjustments: {
+            c04408c: { from: null, hue: 0, saturation: 38.889, lightness: -55.882 }
+        }
+    });
+
+    // 4.2 grids style their cells through the x-grid-td class.
+    registerProfile({
+        name: 'classic-4.2',
+        label: 'Ext 4.2 classic',
+        ext: 'ext-4.2.1',
+        stylesheet: 'ext-all-gray.css',
+        defaultColor: 'C0D4ED',
+        extend: 'classic-4.1',
+        selectors: {
+            '.x-grid-cell': '.x-grid-td'
+        }
+    });
+
+    return {
+        version: version,
+        palette: palette,
+        ruleSets: ruleSets,
+        register: register,
+        registerProfile: registerProfile,
+        setProfile: setProfile,
+        getProfile: getProfile,
+        getProfiles: getProfiles,
+        computePalette: computePalette,
+        settings: settings,
+        css: css,
+        toCss: toCss,
+        toScss: toScss,
+        toJson: toJson,
+        setOverrides: setOverrides,
+        getOverrides: getOverrides,
+        setDark: setDark,
+        isDark: isDark,
+        baseColor: baseColor,
+        expression: expression,
+        inspect: inspect,
+        audit: audit,
+        unaudited: unaudited,
+        readTheme: readTheme,
+        estimate: estimate
+    };
+}));
@@ -15,6 +15,11 @@
            - gray
  *   - ext-all.js
  * - index.html
+ * - sasscolor.js
+ * - sassexpr.js
+ * - sassimage.js
+ * - sassswatch.js
+ * - sasstheme.js
  * - sasstool.js
  *
  *
@@ -32,97 +37,512 @@
  * The "Base Color" panel allows you to select a new base color.  The tool will
  * then calculate how your theme would look if you used this new base color
  * to compile a new css file (using all the base scss files provided by Sencha).
+ * The color can be typed or pasted as hex with or without the '#' (3, 6 or 8
+ * digits), as rgb()/rgba(), hsl()/hsla() or as a css color name; it is
+ * converted to hex when the field loses focus.  The target color in the
+ * Color Adjustment panel accepts the same forms.
+ * Next to the field are slider rows for the red, green and blue channels, for
+ * hue, saturation and lightness (the values scss adjustments work in), and for
+ * hue, saturation and value.  All of them follow each other, and each slider
+ * track shows the colors it can reach from the current color.
  * Click the View Examples button to pop up a window with additional Ext 
  * components with the new css styling applied.  Click on the reset button to
- * revert back to the default theme.  There is also a randomize button to 
+ * revert back to the default theme (or the favorite set as default, see
+ * below).  There is also a randomize button to 
  * generate a random color.
  *
+ * Every base color and adjustment you settle on is kept in the History strip
+ * under the Base Color field; click a swatch to go back to it, or use Ctrl+Z
+ * and Ctrl+Shift+Z to step back and forward.  Changes made in quick
+ * succession, such as dragging a slider or typing a color, are kept as one
+ * entry.
+ *
+ * The "Favorites" tab keeps base colors you want to come back to, stored in
+ * the browser's localStorage.  Type a name and click Save Current Color, then
+ * click a favorite to load it.  Double click a name or the notes to edit them,
+ * and use the buttons below the list to reorder or delete favorites.  Set as
+ * Default makes the selected favorite the color the page opens with and
+ * Reset returns to.
+ *
+ * The "Import" tab recovers the base color of an existing theme.  Open a
+ * compiled ext-all css file or a _variables.scss file and the tool finds the
+ * colors it gives the rules the preview knows about (.x-panel-header-default,
+ * .x-toolbar-default, .x-btn-default-small-over...), or the $base-color and
+ * palette variables it sets, and estimates the base color that reproduces them
+ * best.  The list shows every color found next to the one the estimate gives,
+ * worst first, with the distance between the two in rgb as the error.  The
+ * estimate becomes the base color straight away.
+ *
+ * The "Inspector" tab tells you which theme color is behind anything in the
+ * sample window.  Press Inspect and click a component: the list shows every
+ * rule of the theme that styles the clicked element and the elements around
+ * it, the palette entry each color comes from and the adjust-color() call that
+ * makes it, along with the single adjustment of the base color that gives the
+ * same color when the entry is made from another one.  Copy puts a color or
+ * an adjust-color() call on the clipboard.  While Inspect is pressed clicks
+ * don't reach the components.
+ *
+ * The "Overrides" tab lists every palette entry of the theme with the
+ * hue, saturation and lightness it is adjusted by and the color that gives.
+ * Double click a value to change an entry's adjustment, or type a color under
+ * Fixed Color to use that color whatever the base color is.  The preview
+ * follows each edit, overridden entries are shown in bold with a Reset link,
+ * and the overrides go into every export.  Save Overrides downloads them as
+ * overrides.json for the command line's --overrides option.
+ *
+ * Ext Theme picks the ExtJS version the theme is made for (a SassTheme
+ * profile).  Each version has its own selectors and palette, so the page is
+ * loaded again with that version of ExtJS and its gray stylesheet, e.g.
+ * index.html?profile=classic-4.2, keeping the base color.
+ *
+ * The url keeps the base color, the Color Adjustment values and whether the
+ * sample window is open in its hash, so the address can be bookmarked or sent
+ * to someone to open the tool in the same state.  The browser's back and
+ * forward buttons step through the changes.
+ *
+ * Dark previews the theme's dark variant.  It keeps the hue and saturation
+ * of the base color but starts from a dark color, 100% minus the base color's
+ * lightness and at most 20%, and turns every lightness adjustment around, so
+ * backgrounds that were lighter than the base color get darker and dark text
+ * gets light.  Text is then made light enough to meet WCAG AA against the
+ * background it is drawn on, including the text the ExtJS stylesheet colors,
+ * and the Contrast Audit checks the dark colors.  Each side of the Compare
+ * window has its own Dark box, and the first time Compare opens side B
+ * shows the other variant, so the two can be seen next to each other.  While Dark is checked
+ * every export is of the dark variant, named e.g. theme-c0d4ed-dark.css, and
+ * Export > Light and Dark (zip) downloads the css and scss of both.
+ *
+ * Sass Exact switches the color math to the rounding and hsl conversions of
+ * Sass itself.  By default channels are truncated, which can leave a color
+ * one step off from the theme Sass compiles; with Sass Exact checked the
+ * preview, the adjustments and every export match Sass.  The reference colors
+ * this is checked against are in sassvectors.json.
+ *
+ * The Simulate field previews the theme and the Variations swatches the way
+ * they look with protanopia, deuteranopia, tritanopia or achromatopsia, to
+ * check that selected rows, pressed buttons and active tabs still stand out.
+ * It only changes the preview, exports always use the real colors.
+ *
+ * Compare opens a window with two copies of the sample components side by
+ * side.  Side A starts with the current base color; type another color for
+ * side B, Swap them, or click Use A or Use B to make that side the base color.
+ *
+ * The sample window covers windows, panels, toolbars, buttons, tabs, grids
+ * with a paging toolbar, the date picker, form fields, checkbox and radio
+ * groups, trees, border layout splitters, tooltips, progress bars and message
+ * boxes.
+ *
+ * The Export button downloads the same rules that are applied to the
+ * preview as a standalone css file, either pretty printed or minified.  The
+ * file starts with a comment recording the base color and the tool version.
+ *
+ * Export can also write a _variables.scss file that sets $base-color and
+ * defines every derived theme color as an adjust-color() expression, ready to
+ * drop into a compass/sass build.
+ *
+ * The gray images (tab corners, tool icons, grid sort arrows, window frames
+ * and the rest of the images/gray sprites) are recolored for the base color as
+ * well, so the preview shows them the way the compiled theme will.  They keep
+ * the lightness of the gray images, shifted by as much as the base color is
+ * lighter or darker than the default, and take the base color's hue and
+ * saturation.  Export > Images Folder downloads them as a zip holding a
+ * theme-<color> folder laid out like images/gray, ready to copy into
+ * resources/themes/images.  The images are png files named after the gray
+ * ones, e.g. tools/tool-sprites.png for tools/tool-sprites.gif, so the image
+ * paths in your scss need the .png extension.  Browsers only let the tool
+ * read the images when index.html is opened from a web server; from a
+ * file:// url the tool says so and unchecks "Recolor the gray images".
+ *
+ * The same themes can be generated from the command line with bin/sasstool,
+ * see README.md.
+ *
  * The "Color Adjustment" panel allows you to calculate a new color based on
  * changes to the hue, saturation, and lightness.  This way you are able to
  * see what the resulting color would be when your scss is compiled.
+ * It also works in reverse: enter a target color and Find Adjustment fills in
+ * the hue, saturation, and lightness changes that get from the base color to
+ * the target, along with any error left over from rounding to 8 bit channels.
+ *
+ * The "Contrast Audit" tab lists every text and background color pair the
+ * theme registers, e.g. the panel title on the panel header, with its WCAG
+ * contrast ratio and whether it passes the AA (4.5:1) and AAA (7:1) levels for
+ * normal text.  Text on a gradient is checked against every stop and shows
+ * the one it reads worst on.  The summary names the rule sets without pairs,
+ * such as the accordion, whose text the audit doesn't check.  It follows the
+ * base color, so a dark or washed out base shows straight away which
+ * components become hard to read.  Click a row to flash that component in
+ * the sample window.
+ *
+ * The Expression field in the Color Adjustment panel evaluates Sass color
+ * functions the way your scss would: darken, lighten, saturate, desaturate,
+ * adjust-hue, complement, grayscale, invert, mix, scale-color, change-color and
+ * adjust-color, nested as deep as you like, e.g.
+ * mix(darken(adjust-hue($base-color, 10), 5%), #fff, 30%).
+ * $base-color is the Base Color and the theme colors are
+ * available under the names used in the exported _variables.scss.  Every
+ * function call's result is listed under the field, and a mistake in the
+ * expression is underlined with a message saying what was expected.
  *
  * The "Variations" panel will show some colors with different variations
  * based on the base color.  There are 3 different panels that each apply
- * some pre-set hue, saturation, or brightness adjustments and then display
- * the resulting color.  Each suggested color is clickable and will become
- * the new base color when clicked.
+ * some hue, saturation, or brightness adjustments and then display the
+ * resulting color.  The Hue panel shows a color harmony picked from its list:
+ * the color wheel, complementary, split complementary, triadic, square,
+ * tetradic, analogous, or a monochromatic ramp of tints and shades.  The step
+ * between colors and how many are shown can be changed for each panel, and
+ * every color says which rule it comes from, e.g. "Triadic (Hue +120)".  Each
+ * suggested color is clickable and will become the new base color when
+ * clicked.
+ *
+ * Export > Palette downloads the base color, the current variations and the
+ * theme colors as a GIMP palette (.gpl), an Adobe Swatch Exchange file (.ase),
+ * a Sketch palette (.sketchpalette) or a css file of custom properties.  Each
+ * color is labeled with how it relates to the base color, e.g. "Complementary
+ * (Hue +180)", "Saturation +20" or, for a theme color, "c99bce8
+ * (Saturation +7.644, Lightness -8.627)".  Overridden theme colors and those
+ * of the dark variant are labeled with the adjustment they were made with
+ * and marked, e.g. "c99bce8 (#123456, override)".
  */
 Ext.onReady(function () {
-    var hexToRgb,
-        colorToHex,
-        rgbToHex,
+    var hexToRgb = SassColor.hexToRgb,
+        rgbToHex = SassColor.rgbToHex,
         panel,
+        sampleStore,
         sampleWindow,
-        rgbToHsl,
-        hslToRgb;
-
-    hexToRgb = function (hex) {
-        return {
-            r: parseInt(hex.substring(0, 2), 16),
-            g: parseInt(hex.substring(2, 4), 16),
-            b: parseInt(hex.substring(4, 6), 16)
-        };
+        createSamplePanel,
+        compareWindow,
+        auditStore,
+        auditGrid,
+        favoritesStore,
+        favoritesGrid,
+        importStore,
+        importGrid,
+        inspectorStore,
+        inspectorGrid,
+        overridesStore,
+        overridesGrid,
+        inspectClick,
+        copyText,
+        saveFavorites,
+        getDefaultColor,
+        rgbToHsl = SassColor.rgbToHsl,
+        hslToRgb = SassColor.hslToRgb,
+        downloadFile,
+        toBytes,
+        imagesUnreadable,
+        colorValidator,
+        colorModels,
+        activeModel = null,
+        updatingChannels = false,
+        channelRows = [],
+        variationPanels,
+        variationFields,
+        history = [],
+        historyIndex = -1,
+        historyTask,
+        sprites,
+        tintedColors = {},
+        imageTask;
+
+    Ext.tip.QuickTipManager.init();
+
+    // Changes made within half a second of each other, like a slider drag or
+    // typing a color, become a single history entry.
+    historyTask = new Ext.util.DelayedTask(function () {
+        panel.commitHistory();
+    });
+
+    // Recoloring the images takes a moment, so wait for the base color to
+    // settle before starting.
+    imageTask = new Ext.util.DelayedTask(function () {
+        var color = panel.down('#start').getHex();
+
+        panel.tintImages(color && SassTheme.baseColor(color), null, 'sampleImages');
+    });
+
+    // Without a sprite no images were found at all, because the stylesheets
+    // naming them couldn't be read either.
+    imagesUnreadable = function (title, sprite) {
+        Ext.Msg.alert(title, (sprite ? 'The gray theme images could not be read (' + sprite.path + ').' :
+            'No gray theme images were found because the ExtJS stylesheet could not be read.') + ' Browsers only ' +
+            'allow this when the tool is opened from a web server rather than from a file:// url.');
+    };
+
+    // Puts text on the clipboard, the old way where the clipboard api is
+    // missing.
+    copyText = function (text) {
+        var field;
+
+        if (window.navigator.clipboard && window.navigator.clipboard.writeText) {
+            window.navigator.clipboard.writeText(text);
+            return;
+        }
+
+        field = document.createElement('textarea');
+        field.value = text;
+        document.body.appendChild(field);
+        field.select();
+        document.execCommand('copy');
+        document.body.removeChild(field);
     };
 
-    colorToHex = function (color) {
-        color = Ext.Number.constrain(parseInt(color, 10), 0, 255);
-        return '0123456789ABCDEF'.charAt((color - color % 16) / 16) + '0123456789ABCDEF'.charAt(color % 16);
+    // While the inspector is on, clicks in the sample window are caught
+    // before they reach the components, except on the window's own tools.
+    inspectClick = function (e) {
+        if (Ext.fly(e.target).up('.x-tool')) {
+            return;
+        }
+
+        e.preventDefault();
+        e.stopPropagation();
+        panel.inspect(e.target);
     };
 
-    rgbToHex = function (r, g, b) {
-        return colorToHex(r) + colorToHex(g) + colorToHex(b);
+    colorValidator = function (value) {
+        return SassColor.parse(value) ? true : 'Enter a hex color (C0D4ED, #C0D4ED or #CDE), rgb(), hsl() or a css color name';
     };
 
-    rgbToHsl = function (r, g, b) {
-        var max = Math.max(r, g, b),
-            range = max - Math.min(r, g, b),
-            l = (max / 255) - (range / 510),
-            h = (range === 0 ? 0 : (max === r ? ((g - b) / range * 60) : (max === g ? ((b - r) / range * 60 + 120) : (max === b ? ((r - g) / range * 60 + 240) : 0))));
+    // The color models shown as slider rows in the Base Color panel.  Each
+    // row is a numberfield with the channel's itemId and a slider with the
+    // same itemId plus 'Slider'.
+    colorModels = [{
+        channels: [
+            { itemId: 'red', label: 'Red', max: 255 },
+            { itemId: 'green', label: 'Green', max: 255 },
+            { itemId: 'blue', label: 'Blue', max: 255 }
+        ],
+        toRgb: function (values) {
+            return { r: values[0], g: values[1], b: values[2] };
+        },
+        fromRgb: function (rgb) {
+            return [rgb.r, rgb.g, rgb.b];
+        }
+    }, {
+        hasHue: true,
+        channels: [
+            { itemId: 'hslHue', label: 'HSL Hue', max: 360 },
+            { itemId: 'hslSaturation', label: 'HSL Sat', max: 100 },
+            { itemId: 'hslLightness', label: 'HSL Light', max: 100 }
+        ],
+        toRgb: function (values) {
+            return hslToRgb(values[0], values[1], values[2]);
+        },
+        fromRgb: function (rgb) {
+            var hsl = rgbToHsl(rgb.r, rgb.g, rgb.b);
 
-        return {
-            h: h < 0 ? h + 360 :  h,
-            s: (range === 0 ? 0 : (range / 2.55) / (l < 0.5 ? (l * 2) : (2 - (l * 2)))),
-            l: l * 100
-        };
+            return [hsl.h, hsl.s, hsl.l];
+        }
+    }, {
+        hasHue: true,
+        channels: [
+            { itemId: 'hsvHue', label: 'HSV Hue', max: 360 },
+            { itemId: 'hsvSaturation', label: 'HSV Sat', max: 100 },
+            { itemId: 'hsvValue', label: 'HSV Value', max: 100 }
+        ],
+        toRgb: function (values) {
+            return SassColor.hsvToRgb(values[0], values[1], values[2]);
+        },
+        fromRgb: function (rgb) {
+            var hsv = SassColor.rgbToHsv(rgb.r, rgb.g, rgb.b);
+
+            return [hsv.h, hsv.s, hsv.v];
+        }
+    }];
+
+    // The Variations panels and the harmony scheme each one shows (see
+    // SassColor.harmonies), the hue panel's being picked in its combo.
+    variationPanels = [
+        { itemId: 'hueSuggestions', prefix: 'hue', group: 'Hue', swatchWidth: 280 },
+        { itemId: 'saturationSuggestions', prefix: 'saturation', group: 'Saturation', scheme: 'saturation', swatchWidth: 170 },
+        { itemId: 'brightnessSuggestions', prefix: 'brightness', group: 'Brightness', scheme: 'lightness', swatchWidth: 170 }
+    ];
+
+    // The step and count fields of a Variations panel.
+    variationFields = function (prefix, scheme) {
+        return [{
+            xtype: 'numberfield',
+            itemId: prefix + 'Step',
+            fieldLabel: 'Step',
+            labelWidth: 28,
+            width: 80,
+            minValue: 1,
+            maxValue: 180,
+            value: SassColor.harmonies[scheme].step,
+            listeners: {
+                change: function () {
+                    panel.suggest();
+                }
+            }
+        }, {
+            xtype: 'numberfield',
+            itemId: prefix + 'Count',
+            fieldLabel: 'Count',
+            labelWidth: 35,
+            width: 85,
+            minValue: 1,
+            maxValue: 36,
+            value: SassColor.harmonies[scheme].count,
+            listeners: {
+                change: function () {
+                    panel.suggest();
+                }
+            }
+        }];
     };
 
-    hslToRgb = function (h, s, l) {
-        var rgb = [],
-            value,
-            temp1,
-            temp2;
-
-        h = (h % 360 + 360) % 360;
-        s = Ext.Number.constrain(s, 0, 100);
-        l = Ext.Number.constrain(l, 0, 100);
-
-        if (s === 0) {
-            value = l * 2.55;
-            return {
-                r: value,
-                g: value,
-                b: value
-            };
-        } else {
-            rgb = [
-                (h + 120) / 60 % 6,
-                (h / 60),
-                (h + 240) / 60 % 6
-            ];
-
-            temp1 = l < 50 ? (l * (1 + s / 100)) : (l + s - l * s / 100);
-            temp2 = 2 * l - temp1;
-
-            Ext.Array.forEach(rgb, function (item, index) {
-				rgb[index] = 2.55 * (item < 1 ? (temp2 + (temp1 - temp2) * item) : (item < 3 ? (temp1) : (item < 4 ? (temp2 + (temp1 - temp2) * (4 - item)) : (temp2))));
+    Ext.Array.forEach(colorModels, function (model, modelIndex) {
+        Ext.Array.forEach(model.channels, function (channel) {
+            channelRows.push({
+                xtype: 'container',
+                layout: 'column',
+                margin: modelIndex && channel === model.channels[0] ? '5 0 0 0' : 0,
+                items: [{
+                    xtype: 'numberfield',
+                    decimalPrecision: 0,
+                    allowBlank: false,
+                    itemId: channel.itemId,
+                    fieldLabel: channel.label,
+                    labelWidth: 60,
+                    minValue: 0,
+                    maxValue: channel.max,
+                    maxLength: 3,
+                    enforceMaxLength: true,
+                    width: 120,
+                    margin: '0 10 0 0',
+                    setSlider: function () {
+                        var field = this;
+
+                        if (panel) {
+                            panel.down('#' + channel.itemId + 'Slider').setValue(field.getValue());
+                        }
+                    },
+                    listeners: {
+                        change: function (field) {
+                            field.setSlider();
+                        },
+                        keyup: function (field) {
+                            field.setSlider();
+                        },
+                        blur: function (field) {
+                            field.setSlider();
+                        }
+                    }
+                }, {
+                    xtype: 'slider',
+                    itemId: channel.itemId + 'Slider',
+                    width: 400,
+                    increment: 1,
+                    minValue: 0,
+                    maxValue: channel.max,
+                    listeners: {
+                        change: function (slider) {
+                            panel.down('#' + channel.itemId).setValue(slider.getValue());
+                            panel.setChannel(model);
+                        },
+                        afterrender: function () {
+                            if (panel) {
+                                panel.updateTracks();
+                            }
+                        }
+                    }
+                }]
             });
+        });
+    });
 
-            return {
-                r: rgb[0],
-                g: rgb[1],
-                b: rgb[2]
-            };
+    // The bytes of a binary string, e.g. from atob(), or of ascii text.
+    toBytes = function (text) {
+        var bytes = new Uint8Array(text.length),
+            i;
+
+        for (i = 0; i < text.length; i += 1) {
+            bytes[i] = text.charCodeAt(i);
         }
+
+        return bytes;
+    };
+
+    downloadFile = function (fileName, content, mimeType) {
+        var url = window.URL || window.webkitURL,
+            binary = '',
+            blob,
+            link,
+            event,
+            i;
+
+        if (!window.Blob || !url) {
+            // Binary content (ase, zip) goes into the data url as base64
+            if (window.Uint8Array && content instanceof Uint8Array) {
+                for (i = 0; i < content.length; i += 1) {
+                    binary += String.fromCharCode(content[i]);
+                }
+                window.open('data:' + mimeType + ';base64,' + window.btoa(binary));
+            } else {
+                window.open('data:' + mimeType + ';charset=utf-8,' + encodeURIComponent(content));
+            }
+            return;
+        }
+
+        blob = new Blob([content], { type: mimeType });
+        link = document.createElement('a');
+        link.href = url.createObjectURL(blob);
+        link.download = fileName;
+        document.body.appendChild(link);
+
+        event = document.createEvent('MouseEvents');
+        event.initMouseEvent('click', true, true, window, 0, 0, 0, 0, 0, false, false, false, false, 0, null);
+        link.dispatchEvent(event);
+
+        document.body.removeChild(link);
+        Ext.defer(function () {
+            url.revokeObjectURL(link.href);
+        }, 100);
+    };
+
+    // Favorites are kept in localStorage as a json array of
+    // { name, color, notes, isDefault } in the order they are listed.
+    favoritesStore = Ext.create('Ext.data.Store', {
+        fields: ['name', 'color', 'notes', 'isDefault'],
+        data: (function () {
+            try {
+                return Ext.decode(window.localStorage.getItem('sasstool-favorites') || '[]');
+            } catch (e) {
+                return [];
+            }
+        }()),
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    saveFavorites = function () {
+        var favorites = [];
+
+        favoritesStore.each(function (record) {
+            record.commit();
+            favorites.push({
+                name: record.get('name'),
+                color: record.get('color'),
+                notes: record.get('notes'),
+                isDefault: record.get('isDefault')
+            });
+        });
+
+        try {
+            window.localStorage.setItem('sasstool-favorites', Ext.encode(favorites));
+        } catch (e) {
+            // Storage is disabled or full, the favorites last until the page is closed
+        }
+    };
+
+    // The color Reset and page load use: the favorite set as default, or
+    // the theme profile's own base color.
+    getDefaultColor = function () {
+        var index = favoritesStore.findBy(function (record) {
+            return record.get('isDefault');
+        });
+
+        return index === -1 ? SassTheme.getProfile().defaultColor : favoritesStore.getAt(index).get('color');
     };
 
     panel = Ext.create('Ext.panel.Panel', {
@@ -133,13 +553,10 @@ Ext.onReady(function () {
         },
         title: 'ExtJS Sass Color Utility',
         calculate: function () {
-            var color = panel.down('#start').getValue(),
-                startRGB,
+            var color = panel.down('#start').getHex(),
                 hue,
                 saturation,
                 brightness,
-                hslValues,
-                endRGB,
                 endColor;
 
             if (!panel.down('#start').isValid() || !panel.down('#hue').isValid() || !panel.down('#saturation').isValid() || !panel.down('#brightness').isValid()) {
@@ -148,7 +565,6 @@ Ext.onReady(function () {
 
             color = color.toUpperCase();
 
-            startRGB = hexToRgb(color);
             hue = parseFloat(panel.down('#hue').getValue());
             saturation = parseFloat(panel.down('#saturation').getValue());
             brightness = parseFloat(panel.down('#brightness').getValue());
@@ -157,32 +573,155 @@ Ext.onReady(function () {
                 'background-color': '#' + color
             });
 
-            hslValues = rgbToHsl(startRGB.r, startRGB.g, startRGB.b);
-            endRGB = hslToRgb(hslValues.h + hue, hslValues.s + saturation, hslValues.l + brightness);
-            endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
+            endColor = SassColor.adjust(color, hue, saturation, brightness).substring(1);
             panel.down('#end').setValue('#' + endColor);
             panel.down('#adjustmentPanel').body.setStyle({
                 'background-color': '#' + endColor
             });
 			panel.suggest();
+            panel.recordHistory();
+        },
+        // Called when a channel slider moves.  The color is rebuilt from the
+        // sliders of that model and the other rows follow it through the
+        // Base Color field.
+        setChannel: function (model) {
+            var rgb;
+
+            if (updatingChannels) {
+                return;
+            }
+
+            rgb = model.toRgb(Ext.Array.map(model.channels, function (channel) {
+                return panel.down('#' + channel.itemId + 'Slider').getValue();
+            }));
+
+            activeModel = model;
+            panel.down('#start').setValue(rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b)));
+            activeModel = null;
+            panel.updateTracks();
+        },
+        // Moves every row, except the one being dragged, to the given color.
+        updateChannels: function (rgb) {
+            updatingChannels = true;
+
+            Ext.Array.forEach(colorModels, function (model) {
+                var values;
+
+                if (model === activeModel) {
+                    return;
+                }
+
+                values = model.fromRgb(rgb);
+                Ext.Array.forEach(model.channels, function (channel, index) {
+                    // Grays have no hue, keep the one the slider is on
+                    if (model.hasHue && index === 0 && !Math.round(values[1])) {
+                        return;
+                    }
+                    panel.down('#' + channel.itemId).setValue(Math.round(values[index]));
+                    panel.down('#' + channel.itemId + 'Slider').setValue(Math.round(values[index]));
+                });
+            });
+
+            updatingChannels = false;
+            panel.updateTracks();
+        },
+        // Paints each slider track with the colors it can reach from the
+        // current values of its model.
+        updateTracks: function () {
+            Ext.Array.forEach(colorModels, function (model) {
+                var values = Ext.Array.map(model.channels, function (channel) {
+                    return panel.down('#' + channel.itemId + 'Slider').getValue();
+                });
+
+                Ext.Array.forEach(model.channels, function (channel, index) {
+                    var slider = panel.down('#' + channel.itemId + 'Slider'),
+                        stops = [],
+                        sample,
+                        rgb,
+                        i;
+
+                    if (!slider.rendered) {
+                        return;
+                    }
+
+                    for (i = 0; i <= 12; i += 1) {
+                        sample = values.slice();
+                        sample[index] = channel.max * i / 12;
+                        rgb = model.toRgb(sample);
+                        stops.push('#' + rgbToHex(Math.round(rgb.r), Math.round(rgb.g), Math.round(rgb.b)));
+                    }
+
+                    stops = stops.join(', ');
+                    slider.innerEl.setStyle('background-image', '-webkit-linear-gradient(left, ' + stops + ')');
+                    slider.innerEl.setStyle('background-image', '-moz-linear-gradient(left, ' + stops + ')');
+                    slider.innerEl.setStyle('background-image', 'linear-gradient(to right, ' + stops + ')');
+                });
+            });
+        },
+        findAdjustment: function () {
+            var start = panel.down('#start'),
+                target = panel.down('#target'),
+                result,
+                error,
+                signed;
+
+            if (!start.isValid() || !target.getValue() || !target.isValid()) {
+                return;
+            }
+
+            result = SassColor.findAdjustment(start.getHex(), SassColor.parse(target.getValue()));
+            error = result.error;
+            signed = function (value) {
+                return value > 0 ? '+' + value : String(value);
+            };
+
+            panel.down('#hue').setValue(result.hue);
+            panel.down('#saturation').setValue(result.saturation);
+            panel.down('#brightness').setValue(result.lightness);
+            panel.calculate();
+
+            if (!error.r && !error.g && !error.b) {
+                panel.down('#residual').setValue('None, exact match');
+            } else {
+                panel.down('#residual').setValue(result.color + ' (R ' + signed(error.r) + ', G ' + signed(error.g) + ', B ' + signed(error.b) + ')');
+            }
+        },
+        // The colors shown in the Variations panels as swatches (see
+        // sassswatch.js) by the itemId of the panel they are shown in.
+        variations: function () {
+            var color = panel.down('#start').getHex(),
+                result = {};
+
+            Ext.Array.forEach(variationPanels, function (variation) {
+                var scheme = variation.scheme || panel.down('#' + variation.prefix + 'Scheme').getValue(),
+                    step = panel.down('#' + variation.prefix + 'Step'),
+                    count = panel.down('#' + variation.prefix + 'Count');
+
+                result[variation.itemId] = Ext.Array.map(SassColor.harmony(color, scheme, step.isDisabled() ? null : step.getValue(),
+                        count.isDisabled() ? null : count.getValue()), function (swatch) {
+                    return {
+                        group: variation.group,
+                        // e.g. 'split-complementary-hue-minus-150'
+                        name: swatch.label.toLowerCase().replace(/\+/g, ' plus ').replace(/-(?=\d)/g, ' minus ')
+                            .replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, ''),
+                        label: swatch.label,
+                        color: swatch.color.substring(1)
+                    };
+                });
+            });
+
+            return result;
         },
         suggest: function () {
             var start = panel.down('#start'),
-			    color = start.getValue(),
-                startRGB,
-                endRGB,
-                hslValues,
-                endColor,
-                suggestItems = [],
-                setFunction,
-				textValue,
-                i;
+                variations,
+                setFunction;
 
             if (!start.isValid()) {
                 return;
             }
 
-			setFunction = function (c) {
+            setFunction = function (c) {
                 var el = c.getEl();
 
                 el.on('click', function () {
@@ -192,585 +731,772 @@ Ext.onReady(function () {
                 });
             };
 
-            color = color.toUpperCase();
-            startRGB = hexToRgb(color);
-            hslValues = rgbToHsl(startRGB.r, startRGB.g, startRGB.b);
-
-            for (i = 30; i <= 120; i += 30) {
-                endRGB = hslToRgb(hslValues.h + i, hslValues.s, hslValues.l);
-                endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
-
-				if (i === 30) {
-					textValue = ' (Anologous)';
-				} else if (i === 60) {
-					textValue = '';
-				} else if (i === 90) {
-					textValue = '';
-				} else if (i === 120) {
-					textValue = ' (Triadic)';
-				}
-                suggestItems.push({
-                    xtype: 'container',
-                    width: 200,
-                    height: 20,
-                    color: endColor,
-                    saturation: i,
-                    red: endRGB.r,
-                    green: endRGB.g,
-                    blue: endRGB.b,
-                    html: '#' + endColor + textValue,
-                    style: {
-                        'background-color': '#' + endColor,
-                        cursor: 'pointer'
-                    },
-                    listeners: {
-                        afterrender: setFunction
+            variations = panel.variations();
+
+            Ext.Array.forEach(variationPanels, function (variation) {
+                var suggestions = panel.down('#' + variation.itemId);
+
+                suggestions.removeAll();
+                suggestions.add(Ext.Array.map(variations[variation.itemId], function (swatch) {
+                    return {
+                        xtype: 'container',
+                        width: variation.swatchWidth,
+                        height: 20,
+                        color: swatch.color,
+                        html: '#' + swatch.color + ' ' + swatch.label,
+                        style: {
+                            'background-color': '#' + panel.simulate(swatch.color),
+                            cursor: 'pointer'
+                        },
+                        listeners: {
+                            afterrender: setFunction
+                        }
+                    };
+                }));
+            });
+        },
+        // Puts the step and count of the chosen hue scheme in the fields,
+        // disabling the ones it doesn't use.
+        setHueScheme: function (scheme) {
+            var definition = SassColor.harmonies[scheme];
+
+            Ext.Array.forEach(['Step', 'Count'], function (name) {
+                var field = panel.down('#hue' + name),
+                    value = definition[name.toLowerCase()];
+
+                field.setDisabled(value === null);
+                field.setValue(value);
+            });
+            panel.suggest();
+        },
+        // The base color, the variations and the theme colors as one list of
+        // swatches, each labeled with how it relates to the base color.
+        swatches: function () {
+            var color = panel.down('#start').getHex(),
+                values = SassTheme.computePalette(color),
+                variations = panel.variations(),
+                swatches = [{ group: 'Base', name: 'base-color', label: 'Base color', color: color }];
+
+            Ext.Array.forEach(variationPanels, function (variation) {
+                swatches = swatches.concat(variations[variation.itemId]);
+            });
+
+            // Labels describe the adjustment the color was made with, after
+            // overrides and the dark variant
+            Ext.Array.forEach(SassTheme.palette, function (entry) {
+                var overridden = SassTheme.getOverrides().hasOwnProperty(entry.name),
+                    changes = [];
+
+                entry = SassTheme.settings(entry);
+
+                Ext.Array.forEach([['Hue', entry.hue], ['Saturation', entry.saturation], ['Lightness', entry.lightness]], function (change) {
+                    if (change[1]) {
+                        changes.push(change[0] + ' ' + (change[1] < 0 ? change[1] : '+' + change[1]));
                     }
                 });
-			}
-
-			for (i = -210; i <= -30; i += 30) {
-                endRGB = hslToRgb(hslValues.h + i, hslValues.s, hslValues.l);
-                endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
-
-				if (i === -210) {
-					textValue = ' (Split Complementary)';
-				} else if (i === -180) {
-					textValue = ' (Complementary)';
-				} else if (i === -150) {
-					textValue = ' (Split Complementary)';
-				} else if (i === -120) {
-					textValue = ' (Triadic)';
-				} else if (i === -90) {
-					textValue = '';
-				} else if (i === -60) {
-					textValue = '';
-				} else if (i === -30) {
-					textValue = ' (Anologous)';
-				}
-                suggestItems.push({
-                    xtype: 'container',
-                    width: 200,
-                    height: 20,
-                    color: endColor,
-                    saturation: i,
-                    red: endRGB.r,
-                    green: endRGB.g,
-                    blue: endRGB.b,
-                    html: '#' + endColor + textValue,
-                    style: {
-                        'background-color': '#' + endColor,
-                        cursor: 'pointer'
-                    },
-                    listeners: {
-                        afterrender: setFunction
-                    }
+                if (entry.color) {
+                    changes = ['#' + entry.color.toUpperCase()];
+                } else if (!changes.length) {
+                    changes.push('unchanged');
+                }
+                if (entry.from && !entry.color) {
+                    changes.unshift('from ' + entry.from);
+                }
+                if (overridden) {
+                    changes.push('override');
+                }
+                if (SassTheme.isDark()) {
+                    changes.push('dark');
+                }
+
+                swatches.push({
+                    group: 'Theme',
+                    name: entry.name,
+                    label: entry.name + ' (' + changes.join(', ') + ')',
+                    color: values[entry.name].substring(1)
                 });
-			}
+            });
+
+            return swatches;
+        },
+        showExample: function (showWindow) {
+            var start = panel.down('#start');
 
-            panel.down('#hueSuggestions').removeAll();
-            panel.down('#hueSuggestions').add(suggestItems);
+            if (!start.isValid()) {
+                return;
+            }
 
-            suggestItems = [];
+            Ext.util.CSS.removeStyleSheet('sampleStyle');
+            Ext.util.CSS.createStyleSheet(SassTheme.css(start.getHex(), panel.down('#simulation').getValue()).join(''), 'sampleStyle');
+            imageTask.delay(300);
+            panel.audit();
+            if (overridesGrid.isVisible()) {
+                panel.refreshOverrides();
+            }
 
-            for (i = -50; i <= 50; i += 10) {
-                endRGB = hslToRgb(hslValues.h, hslValues.s + i, hslValues.l);
-                endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
+            if (showWindow) {
+                Ext.getCmp('sampleWindow').show();
+            }
+        },
+        recordHistory: function () {
+            historyTask.delay(500);
+        },
+        // Adds the current base color and adjustment as a history entry,
+        // dropping anything that was undone.
+        commitHistory: function () {
+            var state = {
+                    color: panel.down('#start').getHex(),
+                    hue: panel.down('#hue').getValue(),
+                    saturation: panel.down('#saturation').getValue(),
+                    brightness: panel.down('#brightness').getValue()
+                },
+                current = history[historyIndex];
 
-                suggestItems.push({
-                    xtype: 'container',
-                    width: 60,
-                    height: 20,
-                    color: endColor,
-                    brightness: i,
-                    red: endRGB.r,
-                    green: endRGB.g,
-                    blue: endRGB.b,
-                    html: '#' + endColor,
+            historyTask.cancel();
+
+            if (!state.color || (current && current.color === state.color && current.hue === state.hue &&
+                    current.saturation === state.saturation && current.brightness === state.brightness)) {
+                return;
+            }
+
+            history = history.slice(0, historyIndex + 1);
+            history.push(state);
+            if (history.length > 50) {
+                history.shift();
+            }
+            historyIndex = history.length - 1;
+            panel.renderHistory();
+            panel.updateHash();
+        },
+        goToHistory: function (index) {
+            var state,
+                start = panel.down('#start');
+
+            // Keep a change that is still waiting to be recorded
+            panel.commitHistory();
+
+            if (index < 0 || index >= history.length || index === historyIndex) {
+                return;
+            }
+
+            state = history[index];
+            historyIndex = index;
+
+            panel.down('#hue').setValue(state.hue);
+            panel.down('#saturation').setValue(state.saturation);
+            panel.down('#brightness').setValue(state.brightness);
+            start.setValue(state.color);
+            start.setColor();
+
+            // Restoring fires the same events as editing, don't record them
+            historyTask.cancel();
+            panel.renderHistory();
+            panel.updateHash();
+        },
+        undo: function () {
+            panel.commitHistory();
+            panel.goToHistory(historyIndex - 1);
+        },
+        redo: function () {
+            panel.goToHistory(historyIndex + 1);
+        },
+        // Draws the history strip, one swatch per entry with the current one
+        // outlined.
+        renderHistory: function () {
+            var strip = panel.down('#historyStrip');
+
+            strip.removeAll();
+            strip.add(Ext.Array.map(history, function (state, index) {
+                return {
+                    xtype: 'component',
+                    width: 16,
+                    height: 16,
+                    margin: '0 3 0 0',
+                    autoEl: {
+                        tag: 'div',
+                        'data-qtip': '#' + state.color + ' (hue ' + state.hue + ', saturation ' + state.saturation + ', brightness ' + state.brightness + ')'
+                    },
                     style: {
-                        'background-color': '#' + endColor,
+                        'background-color': '#' + state.color,
+                        border: index === historyIndex ? '2px solid #000000' : '1px solid #999999',
                         cursor: 'pointer'
                     },
                     listeners: {
-                        afterrender: setFunction
+                        afterrender: function (c) {
+                            c.getEl().on('click', function () {
+                                panel.goToHistory(index);
+                            });
+                        }
                     }
-                });
+                };
+            }));
+        },
+        addFavorite: function () {
+            var start = panel.down('#start'),
+                name = favoritesGrid.down('#favoriteName');
+
+            if (!start.isValid()) {
+                return;
             }
 
-			panel.down('#saturationSuggestions').removeAll();
-            panel.down('#saturationSuggestions').add(suggestItems);
+            favoritesStore.add({
+                name: name.getValue() || '#' + start.getHex(),
+                color: start.getHex(),
+                notes: '',
+                isDefault: false
+            });
+            name.setValue('');
+            saveFavorites();
+        },
+        loadFavorite: function (record) {
+            var start = panel.down('#start');
 
-			suggestItems = [];
+            start.setValue(record.get('color'));
+            start.setColor();
+        },
+        // Moves the selected favorite up (-1) or down (1) the list.
+        moveFavorite: function (offset) {
+            var record = favoritesGrid.getSelectionModel().getSelection()[0],
+                index;
 
-			for (i = -20; i <= 20; i += 4) {
-                endRGB = hslToRgb(hslValues.h, hslValues.s, hslValues.l + i);
-                endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
+            if (!record) {
+                return;
+            }
 
-                suggestItems.push({
-                    xtype: 'container',
-                    width: 60,
-                    height: 20,
-                    color: endColor,
-                    brightness: i,
-                    red: endRGB.r,
-                    green: endRGB.g,
-                    blue: endRGB.b,
-                    html: '#' + endColor,
-                    style: {
-                        'background-color': '#' + endColor,
-                        cursor: 'pointer'
-                    },
-                    listeners: {
-                        afterrender: setFunction
+            index = favoritesStore.indexOf(record) + offset;
+            if (index < 0 || index >= favoritesStore.getCount()) {
+                return;
+            }
+
+            favoritesStore.remove(record);
+            favoritesStore.insert(index, record);
+            favoritesGrid.getSelectionModel().select(record);
+            saveFavorites();
+        },
+        // Makes the selected favorite the default, or goes back to the
+        // standard default when it already is.
+        toggleDefaultFavorite: function () {
+            var record = favoritesGrid.getSelectionModel().getSelection()[0],
+                isDefault;
+
+            if (!record) {
+                return;
+            }
+
+            isDefault = !record.get('isDefault');
+            favoritesStore.each(function (favorite) {
+                favorite.set('isDefault', false);
+            });
+            record.set('isDefault', isDefault);
+            saveFavorites();
+        },
+        deleteFavorite: function () {
+            var record = favoritesGrid.getSelectionModel().getSelection()[0];
+
+            if (record) {
+                favoritesStore.remove(record);
+                saveFavorites();
+            }
+        },
+        // Writes the tool state to the url hash so it can be bookmarked or
+        // shared, e.g.
+        // #color=C0D4ED&hue=0&saturation=7.644&brightness=-8.627&window=1
+        // Each change adds a browser history entry for back and forward.
+        updateHash: function () {
+            var start = panel.down('#start'),
+                hash;
+
+            if (!start.isValid() || !panel.down('#hue').isValid() || !panel.down('#saturation').isValid() || !panel.down('#brightness').isValid()) {
+                return;
+            }
+
+            hash = '#' + Ext.Object.toQueryString({
+                color: start.getHex(),
+                hue: panel.down('#hue').getValue(),
+                saturation: panel.down('#saturation').getValue(),
+                brightness: panel.down('#brightness').getValue(),
+                window: sampleWindow.isVisible() ? 1 : 0
+            });
+
+            if (hash === window.location.hash) {
+                return;
+            }
+
+            // The first state replaces the plain url instead of adding to it
+            if (window.location.hash) {
+                window.location.hash = hash;
+            } else {
+                window.location.replace(hash);
+            }
+        },
+        // Loads the state written by updateHash, on page load and when the
+        // browser goes back or forward.
+        restoreHash: function () {
+            var state = Ext.Object.fromQueryString(window.location.hash.substring(1)),
+                start = panel.down('#start'),
+                color = SassColor.parse(state.color || '');
+
+            if (!color) {
+                return;
+            }
+
+            Ext.Array.forEach(['hue', 'saturation', 'brightness'], function (name) {
+                if (state[name] !== undefined && !isNaN(parseFloat(state[name]))) {
+                    panel.down('#' + name).setValue(parseFloat(state[name]));
+                }
+            });
+            start.setValue(color);
+            start.setColor();
+
+            if (state.window === '1') {
+                panel.showExample(true);
+            } else {
+                sampleWindow.hide();
+            }
+        },
+        // Opens the compare window with the current base color on side A.
+        showCompare: function () {
+            var start = panel.down('#start'),
+                compareB = compareWindow.down('#compareB');
+
+            if (!start.isValid()) {
+                return;
+            }
+
+            compareWindow.down('#compareA').setValue(start.getHex());
+            compareWindow.down('#compareDarkA').setValue(SassTheme.isDark());
+            // Side B starts as the other variant of the same color
+            if (!compareB.getValue()) {
+                compareB.setValue(start.getHex());
+                compareWindow.down('#compareDarkB').setValue(!SassTheme.isDark());
+            }
+            compareWindow.show();
+            panel.applyCompare();
+        },
+        // Themes each side of the compare window with css scoped to it, in
+        // the variant picked for that side.
+        applyCompare: function () {
+            var deficiency = panel.down('#simulation').getValue(),
+                dark = SassTheme.isDark();
+
+            Ext.Array.forEach(['A', 'B'], function (side) {
+                var color = SassColor.parse(compareWindow.down('#compare' + side).getValue() || '');
+
+                if (color) {
+                    SassTheme.setDark(compareWindow.down('#compareDark' + side).getValue());
+                    Ext.util.CSS.removeStyleSheet('compareStyle' + side);
+                    Ext.util.CSS.createStyleSheet(SassTheme.css(color, deficiency, '.sass-compare-' + side.toLowerCase()).join(''), 'compareStyle' + side);
+                    panel.tintImages(SassTheme.baseColor(color), '.sass-compare-' + side.toLowerCase(), 'compareImages' + side);
+                }
+            });
+
+            SassTheme.setDark(dark);
+        },
+        swapCompare: function () {
+            var compareA = compareWindow.down('#compareA'),
+                compareB = compareWindow.down('#compareB'),
+                darkA = compareWindow.down('#compareDarkA'),
+                darkB = compareWindow.down('#compareDarkB'),
+                value = compareA.getValue(),
+                dark = darkA.getValue();
+
+            compareA.setValue(compareB.getValue());
+            compareB.setValue(value);
+            darkA.setValue(darkB.getValue());
+            darkB.setValue(dark);
+        },
+        // Makes one side's color and variant the base color.
+        useCompare: function (side) {
+            var start = panel.down('#start'),
+                color = SassColor.parse(compareWindow.down('#compare' + side).getValue() || '');
+
+            if (color) {
+                panel.down('#dark').setValue(compareWindow.down('#compareDark' + side).getValue());
+                start.setValue(color);
+                start.setColor();
+            }
+        },
+        // Evaluates the Expression field with $base-color and the theme's
+        // palette names bound, and lists every function call's result.
+        evaluateExpression: function () {
+            var field = panel.down('#expression'),
+                source = field.getValue(),
+                swatch = panel.down('#expressionSwatch'),
+                steps = panel.down('#expressionSteps'),
+                start = panel.down('#start'),
+                variables,
+                result,
+                html;
+
+            if (!source || !start.isValid()) {
+                swatch.color = null;
+                swatch.getEl().setStyle('background-color', 'transparent');
+                steps.update('');
+                return;
+            }
+
+            variables = SassTheme.computePalette(start.getHex());
+            variables['base-color'] = start.getHex();
+
+            try {
+                result = SassExpression.evaluate(source, variables);
+            } catch (e) {
+                if (e.position === undefined) {
+                    throw e;
+                }
+                field.markInvalid(e.message);
+                swatch.color = null;
+                swatch.getEl().setStyle('background-color', 'transparent');
+                // Show the expression with the problem underlined
+                steps.update('<span style="color: #CC3300;">' + Ext.String.htmlEncode(e.message.replace('SassExpression: ', '')) + '</span><br>' +
+                    Ext.String.htmlEncode(source.substring(0, e.position)) +
+                    '<span style="color: #CC3300; text-decoration: underline; font-weight: bold;">' + (Ext.String.htmlEncode(source.charAt(e.position)) || '&nbsp;') + '</span>' +
+                    Ext.String.htmlEncode(source.substring(e.position + 1)));
+                return;
+            }
+
+            field.clearInvalid();
+            swatch.color = result.color.substring(1);
+            swatch.getEl().setStyle('background-color', result.color);
+
+            html = Ext.Array.map(result.steps, function (step) {
+                return '<span style="display: inline-block; width: 10px; height: 10px; border: 1px solid #999999; background-color: ' + step.color + ';"></span> ' +
+                    step.color + ' = ' + Ext.String.htmlEncode(step.source);
+            });
+            steps.update(html.join('<br>'));
+        },
+        // Returns color as it looks with the deficiency picked in the
+        // Simulate field, or unchanged when none is picked.
+        simulate: function (color) {
+            var deficiency = panel.down('#simulation').getValue();
+
+            return deficiency ? SassColor.simulate(color, deficiency) : color;
+        },
+        // Refreshes the contrast audit for the current base color.  The
+        // summary names the rule sets it has no pairs for.
+        audit: function () {
+            var results = SassTheme.audit(panel.down('#start').getHex()),
+                unaudited = SassTheme.unaudited(),
+                failures = 0;
+
+            Ext.Array.forEach(results, function (result) {
+                if (!result.aa) {
+                    failures += 1;
+                }
+            });
+
+            auditStore.loadData(results);
+            auditGrid.down('#auditSummary').setText((failures ? failures + ' of ' + results.length + ' pairs fail AA' : 'All ' + results.length + ' pairs pass AA') +
+                (unaudited.length ? ', not checked: ' + unaudited.join(', ') : ''));
+            auditGrid.down('#auditStatus').setText('');
+        },
+        setInspecting: function (on) {
+            var el;
+
+            if (on) {
+                panel.showExample(true);
+            }
+
+            el = sampleWindow.getEl();
+            if (!el) {
+                return;
+            }
+
+            if (on) {
+                el.dom.addEventListener('click', inspectClick, true);
+            } else {
+                el.dom.removeEventListener('click', inspectClick, true);
+            }
+            el.setStyle('cursor', on ? 'crosshair' : '');
+            inspectorGrid.down('#inspectorStatus').setText(on ? 'Click a component in the sample window' : '');
+        },
+        // Lists the theme rules that style element and the elements it is
+        // in, up to the sample window, with the palette entry behind each
+        // color.
+        inspect: function (element) {
+            var color = panel.down('#start').getHex(),
+                windowEl = sampleWindow.getEl().dom,
+                elements = [],
+                rows = [],
+                seen = {},
+                el;
+
+            for (el = element; el && el.nodeType === 1; el = el.parentNode) {
+                elements.push(el);
+                if (el === windowEl) {
+                    break;
+                }
+            }
+
+            Ext.Array.forEach(elements, function (el) {
+                var matches = el.matches || el.webkitMatchesSelector || el.mozMatchesSelector || el.msMatchesSelector;
+
+                Ext.Array.forEach(SassTheme.inspect(color, function (selector) {
+                    return matches.call(el, selector);
+                }), function (result) {
+                    var rule = result.selector + ' ' + result.property;
+
+                    if (seen[rule]) {
+                        return;
                     }
+                    seen[rule] = true;
+
+                    if (!result.entries.length) {
+                        rows.push({ rule: rule, value: result.value, color: '', entry: '', expression: '', fromBase: '' });
+                    }
+                    Ext.Array.forEach(result.entries, function (entry) {
+                        rows.push({
+                            rule: rule,
+                            value: result.value,
+                            color: entry.color,
+                            entry: entry.name,
+                            expression: entry.expression,
+                            fromBase: entry.fromBase
+                        });
+                    });
                 });
+            });
+
+            inspectorStore.loadData(rows);
+            inspectorGrid.down('#inspectorStatus').setText(rows.length ? rows.length + ' colors style the clicked ' +
+                element.tagName.toLowerCase() : 'No theme color styles the clicked ' + element.tagName.toLowerCase());
+            Ext.get(element).frame('#FF0000', 1);
+        },
+        // Lists every palette entry with its adjustment, override and the
+        // color it gives for the current base color.
+        refreshOverrides: function () {
+            var values = SassTheme.computePalette(panel.down('#start').getHex()),
+                overrides = SassTheme.getOverrides();
+
+            overridesStore.loadData(Ext.Array.map(SassTheme.palette, function (entry) {
+                var override = overrides[entry.name] || {};
+
+                return {
+                    name: entry.name,
+                    from: entry.from || 'base-color',
+                    hue: override.hue !== undefined ? override.hue : entry.hue,
+                    saturation: override.saturation !== undefined ? override.saturation : entry.saturation,
+                    lightness: override.lightness !== undefined ? override.lightness : entry.lightness,
+                    fixed: override.color || '',
+                    color: values[entry.name].substring(1).toUpperCase(),
+                    overridden: overrides.hasOwnProperty(entry.name)
+                };
+            }));
+        },
+        // Makes an edited row of the overrides grid an override, or drops
+        // the override when the row is back to the registered adjustment.
+        setOverride: function (record) {
+            var overrides = SassTheme.getOverrides(),
+                name = record.get('name'),
+                fixed = SassColor.parse(record.get('fixed') || ''),
+                entry = Ext.Array.filter(SassTheme.palette, function (item) {
+                    return item.name === name;
+                })[0];
+
+            delete overrides[name];
+
+            if (fixed) {
+                overrides[name] = { color: fixed };
+            } else if (record.get('hue') !== entry.hue || record.get('saturation') !== entry.saturation || record.get('lightness') !== entry.lightness) {
+                overrides[name] = {
+                    hue: record.get('hue'),
+                    saturation: record.get('saturation'),
+                    lightness: record.get('lightness')
+                };
             }
 
-            panel.down('#brightnessSuggestions').removeAll();
-            panel.down('#brightnessSuggestions').add(suggestItems);
+            panel.applyOverrides(overrides);
         },
-        adjustColor: function (color, hue, saturation, brightness) {
-            var startRGB,
-                hslValues,
-                endRGB,
-                endColor;
+        applyOverrides: function (overrides) {
+            SassTheme.setOverrides(overrides);
+            panel.down('#start').setColor();
+            if (compareWindow.isVisible()) {
+                panel.applyCompare();
+            }
+        },
+        // Every profile needs its own ExtJS version and stylesheet, so the
+        // page is loaded again with the profile in the url.  The hash keeps
+        // the base color and adjustments.
+        setProfile: function (name) {
+            if (name !== SassTheme.getProfile().name) {
+                window.location.search = '?profile=' + encodeURIComponent(name);
+            }
+        },
+        // Opens the sample window and flashes the elements an audit row was
+        // measured on.
+        highlight: function (record) {
+            var elements;
+
+            panel.showExample(true);
+            elements = sampleWindow.getEl().select(record.get('selector')).elements;
 
-            startRGB = hexToRgb(color);
-            hslValues = rgbToHsl(startRGB.r, startRGB.g, startRGB.b);
-            endRGB = hslToRgb(hslValues.h + hue, hslValues.s + saturation, hslValues.l + brightness);
-            endColor = rgbToHex(endRGB.r, endRGB.g, endRGB.b);
+            if (!elements.length) {
+                auditGrid.down('#auditStatus').setText(record.get('label') + ' is not in view');
+                return;
+            }
 
-            return '#' + endColor;
+            auditGrid.down('#auditStatus').setText('');
+            Ext.get(elements[0]).scrollIntoView(sampleWindow.down('panel').body);
+            Ext.Array.forEach(elements, function (element) {
+                Ext.get(element).frame('#FF0000', 3);
+            });
         },
-        showExample: function (showWindow) {
-            var color = panel.down('#start').getValue(),
-                adjust = panel.adjustColor,
-                css,
-                ecf2fb,
-                e4f3ff,
-                b6cbe4,
-                d9edff,
-                c2d8f2,
-                c6dcf6,
-                bfd2e6,
-                c8dc0f5,
-                c98c5f5,
-                c99bce8,
-                dfe8f6,
-                dbeeff,
-                d0e7ff,
-                bbd2f0,
-                bed6f5,
-                bccfe5,
-                c5d6e7,
-                c95c4f4,
-                c9fc9f5,
-                d3e1f1,
-                dfe9f5,
-                cbddf3,
-                dae7f6,
-                cddef3,
-                abc7ec,
-                b8cfee,
-                f4f8fd,
-                d9e7f8,
-                f3f7fb,
-                c04408c,
-                dfe9f6,
-                a3bad9,
-                d9e8fb,
-                e7f0fc,
-                c7ddf9,
-                ebf3fd,
-                aaccf6,
-                a3bae9,
-                deecfd,
-                f5f9fe,
-                dde8f5,
-                cbdbef,
-                d6e6fa,
-                ccdef6,
-                cbdaee,
-                c7d8ed,
-                d1dff0,
-                dee8f5,
-                dfecfb,
-                b2d1f5,
-                edf4fd,
-                cde1f9,
-                c264888,
-                c1f3a6c,
-                ddecfe,
-                c15428b;
-
-            if (!panel.down('#start').isValid()) {
+        exportCss: function (minify) {
+            var start = panel.down('#start'),
+                color;
+
+            if (!start.isValid()) {
                 return;
             }
 
-            // Generate the new css style rules and create the stylesheet
-            ecf2fb = adjust(color, 0, 6.5, 11.25);
-            e4f3ff = adjust(color, -6.667, 44.444, 10.588);
-            b6cbe4 = adjust(color, -0.725, -9.556, -3.725);
-            d9edff = adjust(color, -6, 42, 8.25);
-            c2d8f2 = adjust(color, -1, 8.5, 1.25);
-            c6dcf6 = adjust(color, -1, 16.5, 3);
-            bfd2e6 = adjust(color, -4, -12.25, -1.75);
-            c8dc0f5 = adjust(color, -3, 27.75, -8.5);
-            c98c5f5 = adjust(color, -2, 26.25, -6.25);
-            c99bce8 = adjust(color, 0, 7.644, -8.627);
-            dfe8f6 = adjust(color, 3.188, 0.542, 7.843);
-            dbeeff = adjust(color, -6, 41.75, 8.75);
-            d0e7ff = adjust(color, -3, 42.5, 6.5);
-            bbd2f0 = adjust(color, 0, 7.5, -0.5);
-            bed6f5 = adjust(color, 0, 17, 1);
-            bccfe5 = adjust(color, -2, -12, -2.5);
-            c5d6e7 = adjust(color, -4, -15, -0.25);
-            c95c4f4 = adjust(color, -3, 25.25, -7);
-            c9fc9f5 = adjust(color, -3, 24.75, -5);
-            d3e1f1 = adjust(color, -2, -5.5, 4.5);
-            dfe9f5 = adjust(color, -2, -4.5, 7.5);
-            cbddf3 = adjust(color, -1, 5.75, 3.25);
-            dae7f6 = adjust(color, -2, 3.75, 6.75);
-            cddef3 = adjust(color, 0, 4.5, 3.75);
-            abc7ec = adjust(color, 0, 7, -4.5);
-            b8cfee = adjust(color, 1, 5, -1.5);
-            f4f8fd = adjust(color, -4, 7.25, 13.25);
-            d9e7f8 = adjust(color, -1, 11.5, 7);
-            f3f7fb = adjust(color, -7, -11.5, 12.75);
-            c04408c = adjust(dfe8f6.substring(1), 0, 38.347, -63.725);
-            dfe9f6 = adjust(color, -1, -1.25, 7.75);
-            a3bad9 = adjust(color, 1, -14.25, -9.75);
-            d9e8fb = adjust(color, -1, 23.5, 7.5);
-            e7f0fc = adjust(color, -1, 19, 10.5);
-            c7ddf9 = adjust(color, 0, 24, 3.75);
-            ebf3fd = adjust(color, -2, 22.25, 11.5);
-            aaccf6 = adjust(color, 0, 24.75, -2.5);
-            a3bae9 = adjust(color, 7, 5.25, -6.5);
-            deecfd = adjust(color, -1, 30.25, 9);
-            f5f9fe = adjust(color, -2, 19.25, 13.75);
-            dde8f5 = adjust(color, -2, -3.25, 7.25);
-            cbdbef = adjust(color, -1, -3.75, 2.5);
-            d6e6fa = adjust(color, -1, 21, 6.75);
-            ccdef6 = adjust(color, 0, 13.25, 4);
-            cbdaee = adjust(color, 0, -5.75, 2.25);
-            c7d8ed = adjust(color, -1, -5, 1.25);
-            d1dff0 = adjust(color, -2, -5.5, 3.75);
-            dee8f5 = adjust(color, 0, -3.5, 7.5);
-            dfecfb = adjust(color, -2, 19.75, 8.75);
-            b2d1f5 = adjust(color, -1, 20.5, -1.25);
-            edf4fd = adjust(color, -1, 22.5, 12);
-            cde1f9 = adjust(color, -1, 21.75, 4.75);
-            c264888 = adjust(color, 6, 0.25, -50);
-            c1f3a6c = adjust(color, 5, 0, -57);
-            ddecfe = adjust(color, -1, 36, 9);
-            c15428b = adjust(color, 4, 17.75, -52.75);
-            css = [
-                '.x-window-default {',
-                '    border-color: ' + adjust(color, 0.952, -32.377, -13.725) + ';', //#a2b1c5
-                '    -moz-box-shadow: ' + ecf2fb + ' 0 1px 0px 0 inset, ' + ecf2fb + ' 0 -1px 0px 0 inset, ' + ecf2fb + ' -1px 0 0px 0 inset, ' + ecf2fb + ' 1px 0 0px 0 inset;',
-                '    -webkit-box-shadow: ' + ecf2fb + ' 0 1px 0px 0 inset, ' + ecf2fb + ' 0 -1px 0px 0 inset, ' + ecf2fb + ' -1px 0 0px 0 inset, ' + ecf2fb + ' 1px 0 0px 0 inset;',
-                '    -o-box-shadow: ' + ecf2fb + ' 0 1px 0px 0 inset, ' + ecf2fb + ' 0 -1px 0px 0 inset, ' + ecf2fb + ' -1px 0 0px 0 inset, ' + ecf2fb + ' 1px 0 0px 0 inset;',
-                '    box-shadow: ' + ecf2fb + ' 0 1px 0px 0 inset, ' + ecf2fb + ' 0 -1px 0px 0 inset, ' + ecf2fb + ' -1px 0 0px 0 inset, ' + ecf2fb + ' 1px 0 0px 0 inset',
-                '}',
-                '',
-                '.x-window-default {',
-                '    background-color: ' + adjust(color, 0.267, -21.309, 1.569), //#ced9e7
-                '}',
-                '.x-window-header-default-top {',
-                '    background-color: ' + adjust(color, 0.267, -21.309, 1.569), //#ced9e7
-                '}',
-                '.x-window-body-default {',
-                '    border-color: ' + adjust(color, 0.844, 7.644, -8.627) + ';', //#99bbe8
-                '    background: ' + dfe8f6 + ';', //#dfe8f6
-                '}',
-                '',
-                '.x-window-header-default {',
-                '    border-color: ' + adjust(color, 0.844, 7.644, -8.627) + ';', //#a2b1c5
-                '}',
-                '',
-                '.x-window-header-text-default {',
-                '    color: ' + adjust(color, -2.451, 38.889, -55.882) + ';', //#04468c
-                '}',
-                '.x-btn-default-small-over {',
-                '    border-color: ' + adjust(color, 1, 15.25, -2.25) + ';', //#b0ccf2
-                '    background-color: ' + e4f3ff + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + e4f3ff + '), color-stop(48%, ' + d9edff + '), color-stop(52%, ' + c2d8f2 + '), color-stop(100%, ' + c6dcf6 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + e4f3ff + ', ' + d9edff + ' 48%,' + c2d8f2 + ' 52%,' + c6dcf6 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + e4f3ff + ',' + d9edff + ' 48%,' + c2d8f2 + ' 52%,' + c6dcf6 + ');',
-                '    background-image: -o-linear-gradient(top, ' + e4f3ff + ',' + d9edff + ' 48%,' + c2d8f2 + ' 52%,' + c6dcf6 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + e4f3ff + ',' + d9edff + ' 48%,' + c2d8f2 + ' 52%,' + c6dcf6 + ');',
-                '    background-image: linear-gradient(top, ' + e4f3ff + ',' + d9edff + ' 48%,' + c2d8f2 + ' 52%,' + c6dcf6 + ')',
-                '}',
-                '',
-                '.x-btn-default-small-menu-active,.x-btn-default-small-pressed {',
-                '    border-color: ' + adjust(b6cbe4.substring(1), 2.317, 6.756, -5.294) + ';', //#9ebae1
-                '    background-color: ' + b6cbe4 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + b6cbe4 + '), color-stop(48%, ' + bfd2e6 + '), color-stop(52%, ' + c8dc0f5 + '), color-stop(100%, ' + c98c5f5 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + b6cbe4 + ',' + bfd2e6 + ' 48%,' + c8dc0f5 + ' 52%,' + c98c5f5 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + b6cbe4 + ',' + bfd2e6 + ' 48%,' + c8dc0f5 + ' 52%,' + c98c5f5 + ');',
-                '    background-image: -o-linear-gradient(top, ' + b6cbe4 + ',' + bfd2e6 + ' 48%,' + c8dc0f5 + ' 52%,' + c98c5f5 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + b6cbe4 + ',' + bfd2e6 + ' 48%,' + c8dc0f5 + ' 52%,' + c98c5f5 + ');',
-                '    background-image: linear-gradient(top, ' + b6cbe4 + ',' + bfd2e6 + ' 48%,' + c8dc0f5 + ' 52%,' + c98c5f5 + ')',
-                '}',
-                '',
-                '.x-btn-default-toolbar-small-over {',
-                '    border-color: ' + adjust(color, 0, -10.25, -18) + ';', //#81a4d0
-                '    background-color: ' + dbeeff + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dbeeff + '), color-stop(48%, ' + d0e7ff + '), color-stop(52%, ' + bbd2f0 + '), color-stop(100%, ' + bed6f5 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dbeeff + ',' + d0e7ff + ' 48%,' + bbd2f0 + ' 52%,' + bed6f5 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dbeeff + ',' + d0e7ff + ' 48%,' + bbd2f0 + ' 52%,' + bed6f5 + ');',
-                '    background-image: -o-linear-gradient(top, ' + dbeeff + ',' + d0e7ff + ' 48%,' + bbd2f0 + ' 52%,' + bed6f5 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dbeeff + ',' + d0e7ff + '48%,' + bbd2f0 + ' 52%,' + bed6f5 + ');',
-                '    background-image: linear-gradient(top, ' + dbeeff + ',' + d0e7ff + ' 48%,' + bbd2f0 + ' 52%,' + bed6f5 + ')',
-                '}',
-                '.x-btn-default-toolbar-small-menu-active,.x-btn-default-toolbar-small-pressed {',
-                '    border-color: ' + adjust(color, 1, -17.25, -21.75) + ';', //#7a9ac4
-                '    background-color: ' + bccfe5 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + bccfe5 + '), color-stop(48%, ' + c5d6e7 + '), color-stop(52%, ' + c95c4f4 + '), color-stop(100%, ' + c9fc9f5 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + bccfe5 + ',' + c5d6e7 + ' 48%,' + c95c4f4 + ' 52%,' + c9fc9f5 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + bccfe5 + ',' + c5d6e7 + ' 48%,' + c95c4f4 + ' 52%,' + c9fc9f5 + ');',
-                '    background-image: -o-linear-gradient(top, ' + bccfe5 + ',' + c5d6e7 + ' 48%,' + c95c4f4 + ' 52%,' + c9fc9f5 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + bccfe5 + ',' + c5d6e7 + ' 48%,' + c95c4f4 + ' 52%,' + c9fc9f5 + ');',
-                '    background-image: linear-gradient(top, ' + bccfe5 + ',' + c5d6e7 + ' 48%,' + c95c4f4 + ' 52%,' + c9fc9f5 + ')',
-                '}',
-                '.x-toolbar-default {',
-                '    border-color: ' + c99bce8 + ';',
-                '    background-color: ' + d3e1f1 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dfe9f5 + '), color-stop(100%, ' + d3e1f1 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dfe9f5 + ',' + d3e1f1 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dfe9f5 + ',' + d3e1f1 + ');',
-                '    background-image: -o-linear-gradient(top, ' + dfe9f5 + ',' + d3e1f1 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dfe9f5 + ',' + d3e1f1 + ');',
-                '    background-image: linear-gradient(top, ' + dfe9f5 + ',' + d3e1f1 + ')',
-                '}',
-                '.x-panel-default {',
-                '    border-color: ' + c99bce8,
-                '}',
-                '.x-panel-header-default {',
-                '    border-color: ' + c99bce8 + ';',
-                '    background-color: ' + cbddf3 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dae7f6 + '), color-stop(45%, ' + cddef3 + '), color-stop(46%, ' + abc7ec + '), color-stop(50%, ' + abc7ec + '), color-stop(51%, ' + b8cfee + '), color-stop(100%, ' + cbddf3 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dae7f6 + ', ' + cddef3 + ' 45%, ' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -o-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%, ' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    -moz-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    -webkit-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    -o-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset',
-                '}',
-                '.x-panel-header-text-default {',
-                '    color: ' + c04408c + ';',
-                '}',
-                '',
-                '.x-panel-body-default {',
-                '    border-color: ' + c99bce8 + ';',
-                '}',
-                '.x-accordion-hd {',
-                '    background: ' + d9e7f8 + ' !important;',
-                '    -moz-box-shadow: inset 0 0 0 0 ' + d9e7f8 + ';',
-                '    -webkit-box-shadow: inset 0 0 0 0 ' + d9e7f8 + ';',
-                '    -o-box-shadow: inset 0 0 0 0 ' + d9e7f8 + ';',
-                '    box-shadow: inset 0 0 0 0 ' + d9e7f8,
-                '}',
-                '.x-accordion-hd-sibling-expanded {',
-                '    border-top-color: ' + c99bce8 + ' !important;',
-                '    -moz-box-shadow: inset 0 1px 0 0 ' + f3f7fb + ';',
-                '    -webkit-box-shadow: inset 0 1px 0 0 ' + f3f7fb + ';',
-                '    -o-box-shadow: inset 0 1px 0 0 ' + f3f7fb + ';',
-                '    box-shadow: inset 0 1px 0 0 ' + f3f7fb,
-                '}',
-                '.x-panel-collapsed .x-window-header-default,.x-panel-collapsed .x-panel-header-default {',
-                '    border-color: ' + c99bce8,
-                '}',
-                '.x-panel-header-default-framed-top {',
-                '    background-color: ' + cbddf3 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dae7f6 + '), color-stop(45%, ' + cddef3 + '), color-stop(46%, ' + abc7ec + '), color-stop(50%, ' + abc7ec + '), color-stop(51%, ' + b8cfee + '), color-stop(100%, ' + cbddf3 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -o-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ')',
-                '}',
-                '.x-panel-header-default-framed {',
-                '    border-color: ' + c99bce8 + ';',
-                '    background-color: ' + cbddf3 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dae7f6 + '), color-stop(45%, ' + cddef3 + '), color-stop(46%, ' + abc7ec + '), color-stop(50%, ' + abc7ec + '), color-stop(51%, ' + b8cfee + '), color-stop(100%, ' + cbddf3 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -o-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    background-image: linear-gradient(top, ' + dae7f6 + ',' + cddef3 + ' 45%,' + abc7ec + ' 46%,' + abc7ec + ' 50%,' + b8cfee + ' 51%,' + cbddf3 + ');',
-                '    -moz-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    -webkit-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    -o-box-shadow: ' + f4f8fd + ' 0 1px 0px 0 inset;',
-                '    box-shadow: ' + f4f8fd + '0 1px 0px 0 inset',
-                '}',
-                '.x-panel-header-text-default-framed {',
-                '    color: ' + c04408c + ';',
-                '}',
-                '.x-panel-default-framed {',
-                '    border-color: ' + c99bce8,
-                '}',
-                '.x-panel-default-framed {',
-                '    background-color: ' + dfe9f6,
-                '}',
-                '.x-panel-body-default-framed {',
-                '    background: ' + dfe9f6 + ';',
-                '    border-color: ' + c99bce8 + ';',
-                '}',
-                '.x-mask-msg {',
-                '    border-color: ' + c99bce8 + ';',
-                '    background-color: ' + dfe9f6,
-                '}',
-                '.x-mask-msg div {',
-                '    border: 1px solid ' + a3bad9 + ';',
-                '}',
-                '.x-grid-row-selected .x-grid-cell,.x-grid-row-selected .x-grid-rowwrap-div {',
-                '    border-color: ' + a3bae9 + ';',
-                '    background-color: ' + dfe8f6 + ' !important',
-                '}',
-                '.x-column-header-over,.x-column-header-sort-ASC,.x-column-header-sort-DESC {',
-                '    border-left-color: ' + aaccf6 + ';',
-                '    border-right-color: ' + aaccf6 + ';',
-                '    background-color: ' + aaccf6 + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + ebf3fd + '), color-stop(39%, ' + ebf3fd + '), color-stop(40%, ' + d9e8fb + '), color-stop(100%, ' + d9e8fb + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + ebf3fd + ',' + ebf3fd + ' 39%,' + d9e8fb + ' 40%,' + d9e8fb + ');',
-                '    background-image: -moz-linear-gradient(top, ' + ebf3fd + ',' + ebf3fd + ' 39%,' + d9e8fb + ' 40%,' + d9e8fb + ');',
-                '    background-image: -o-linear-gradient(top, ' + ebf3fd + ',' + ebf3fd + ' 39%,' + d9e8fb + ' 40%,' + d9e8fb + ');',
-                '    background-image: -ms-linear-gradient(top, ' + ebf3fd + ',' + ebf3fd + ' 39%,' + d9e8fb + ' 40%,' + d9e8fb + ');',
-                '    background-image: linear-gradient(top, ' + ebf3fd + ',' + ebf3fd + ' 39%,' + d9e8fb + ' 40%,' + d9e8fb + ')',
-                '}',
-                '.x-menu-item-active .x-menu-item-link {',
-                '    background-color: ' + d9e8fb + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + e7f0fc + '), color-stop(100%, ' + c7ddf9 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + e7f0fc + ',' + c7ddf9 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + e7f0fc + ',' + c7ddf9 + ');',
-                '    background-image: -o-linear-gradient(top, ' + e7f0fc + ',' + c7ddf9 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + e7f0fc + ',' + c7ddf9 + ');',
-                '    background-image: linear-gradient(top, ' + e7f0fc + ',' + c7ddf9 + ');',
-                '    border: 1px solid ' + adjust(color, 0, 22.75, -3) + ';', //#a9cbf5
-                '}',
-                'table.x-datepicker-inner .x-datepicker-selected a {',
-                '    background-color: ' + adjust(color, -1, -6.25, 6.25) + ';', //#dae5f3
-                '    border: 1px solid ' + adjust(color, 1, 4.5, -12), //#8db2e3
-                '}',
-                '.x-datepicker-footer,.x-monthpicker-buttons {',
-                '    border-top: 1px solid ' + b2d1f5 + ';',
-                '    background-color: ' + dfecfb + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dee8f5 + '), color-stop(49%, ' + d1dff0 + '), color-stop(51%, ' + c7d8ed + '), color-stop(100%, ' + cbdaee + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dee8f5 + ',' + d1dff0 + ' 49%,' + c7d8ed + ' 51%,' + cbdaee + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dee8f5 + ',' + d1dff0 + ' 49%,' + c7d8ed + ' 51%,' + cbdaee + ');',
-                '    background-image: -o-linear-gradient(top, ' + dee8f5 + ',' + d1dff0 + ' 49%,' + c7d8ed + ' 51%,' + cbdaee + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dee8f5 + ',' + d1dff0 + ' 49%,' + c7d8ed + ' 51%,' + cbdaee + ');',
-                '    background-image: linear-gradient(top, ' + dee8f5 + ',' + d1dff0 + ' 49%,' + c7d8ed + ' 51%,' + cbdaee + ');',
-                '}',
-                '.x-tab-bar {',
-                '    background-color: ' + cbdbef + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + dde8f5 + '), color-stop(100%, ' + cbdbef + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + dde8f5 + ',' + cbdbef + ');',
-                '    background-image: -moz-linear-gradient(top, ' + dde8f5 + ',' + cbdbef + ');',
-                '    background-image: -o-linear-gradient(top, ' + dde8f5 + ',' + cbdbef + ');',
-                '    background-image: -ms-linear-gradient(top, ' + dde8f5 + ',' + cbdbef + ');',
-                '    background-image: linear-gradient(top, ' + dde8f5 + ',' + cbdbef + ');',
-                '}',
-                '.x-tab-bar-body {',
-                '    border-color: ' + c99bce8 + ';',
-                '}',
-
-                '.x-tab-default-top {',
-                '    border-bottom: 1px solid ' + c99bce8 + ' !important',
-                '}',
-                '.x-tab-default-top {',
-                '    background-color: ' + deecfd + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + ccdef6 + '), color-stop(25%, ' + d6e6fa + '), color-stop(45%, ' + deecfd + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + ccdef6 + ',' + d6e6fa + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -moz-linear-gradient(top, ' + ccdef6 + ',' + d6e6fa + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -o-linear-gradient(top, ' + ccdef6 + ',' + d6e6fa + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -ms-linear-gradient(top, ' + ccdef6 + ',' + d6e6fa + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: linear-gradient(top, ' + ccdef6 + ',' + d6e6fa + ' 25%,' + deecfd + ' 45%)',
-                '}',
-                '.x-tab {',
-                '    border-color: ' + adjust(color, 0, 4.5, -12) + ';', //#8db3e3
-                '}',
-                '.x-tab button {',
-                '    color: ' + adjust(color, 0, -12.75, -39.25) + ';', // #416da3
-                '}',
-                '.x-tab-active button {',
-                '    color: ' + adjust(color, 0, 17.75, -52.75), //#15498b
-                '}',
-                '.x-tab-top-active {',
-                '    background-color: ' + deecfd + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, #ffffff), color-stop(25%, ' + f5f9fe + '), color-stop(45%, ' + deecfd + '));',
-                '    background-image: -webkit-linear-gradient(top, #ffffff,' + f5f9fe + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -moz-linear-gradient(top, #ffffff,' + f5f9fe + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -o-linear-gradient(top, #ffffff,' + f5f9fe + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: -ms-linear-gradient(top, #ffffff,' + f5f9fe + ' 25%,' + deecfd + ' 45%);',
-                '    background-image: linear-gradient(top, #ffffff,' + f5f9fe + ' 25%,' + deecfd + ' 45%)',
-                '}',
-                '.x-tab-default-top-active {',
-                '    border-bottom-color: ' + deecfd + ' !important',
-                '}',
-                '.x-tab-bar-strip-default,.x-tab-bar-strip-default-plain {',
-                '    border-color: ' + c99bce8 + ';',
-                '    background-color: ' + deecfd + ';',
-                '}',
-                '.x-datepicker {',
-                '    border: 1px solid ' + adjust(color, 6, 4, -57.5) + ';', //#1b376c
-                '}',
-                '.x-datepicker a {',
-                '    color: ' + c15428b,
-                '}',
-                '.x-datepicker-header {',
-                '    background-color: ' + adjust(color, 6, 0.25, -53) + ';', //#23427c
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + c264888 + '), color-stop(100%, ' + c1f3a6c + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + c264888 + ',' + c1f3a6c + ');',
-                '    background-image: -moz-linear-gradient(top, ' + c264888 + ',' + c1f3a6c + ');',
-                '    background-image: -o-linear-gradient(top, ' + c264888 + ',' + c1f3a6c + ');',
-                '    background-image: -ms-linear-gradient(top, ' + c264888 + ',' + c1f3a6c + ');',
-                '    background-image: linear-gradient(top, ' + c264888 + ',' + c1f3a6c + ')',
-                '}',
-                'table.x-datepicker-inner th {',
-                '    color: ' + adjust(color, 5, -4, -56) + ';', //#233d6d
-                '    border-bottom: 1px solid ' + b2d1f5 + ';',
-                '    background-color: ' + dfecfb + ';',
-                '    background-image: -webkit-gradient(linear, 50% 0%, 50% 100%, color-stop(0%, ' + edf4fd + '), color-stop(100%, ' + cde1f9 + '));',
-                '    background-image: -webkit-linear-gradient(top, ' + edf4fd + ',' + cde1f9 + ');',
-                '    background-image: -moz-linear-gradient(top, ' + edf4fd + ',' + cde1f9 + ');',
-                '    background-image: -o-linear-gradient(top, ' + edf4fd + ',' + cde1f9 + ');',
-                '    background-image: -ms-linear-gradient(top, ' + edf4fd + ',' + cde1f9 + ');',
-                '    background-image: linear-gradient(top, ' + edf4fd + ',' + cde1f9 + ');',
-                '}',
-                '.x-grid-header-ct {',
-                '    border: 1px solid ' + c99bce8 + ';',
-                '}',
-                '.x-panel .x-grid-body {',
-                '    border-color: ' + c99bce8 + ';',
-                '}',
-                '.x-column-header-trigger {',
-                '    background-color: ' + adjust(color, 1, 25.75, 3) + ';', //#c3daf9
-                '}',
-                'table.x-datepicker-inner a:hover,table.x-datepicker-inner .x-datepicker-disabled a:hover {',
-                '    background-color: ' + ddecfe,
-                '}',
-                '.x-monthpicker-item a.x-monthpicker-selected {',
-                '    background-color: ' + dfecfb + ';',
-                '    border: 1px solid ' + adjust(color, 1, 4.5, -12), //#8db2e3
-                '}',
-                '.x-monthpicker-item a:hover {',
-                '    background-color: ' + ddecfe,
-                '}',
-                '.x-fieldset-header {',
-                '    color: ' + c15428b + ';',
-                '}'
-            ];
-            Ext.util.CSS.removeStyleSheet('sampleStyle');
-            Ext.util.CSS.createStyleSheet(css.join(''), 'sampleStyle');
+            color = start.getHex().toLowerCase();
+            downloadFile('theme-' + color + (SassTheme.isDark() ? '-dark' : '') + (minify ? '.min' : '') + '.css', SassTheme.toCss(color, minify), 'text/css');
+        },
+        // Downloads the css and scss of the theme and of its dark variant
+        // together in a zip file.
+        exportVariants: function () {
+            var start = panel.down('#start'),
+                dark = SassTheme.isDark(),
+                files = [],
+                color;
 
-            if (showWindow) {
-                Ext.getCmp('sampleWindow').show();
+            if (!start.isValid()) {
+                return;
+            }
+
+            color = start.getHex().toLowerCase();
+            Ext.Array.forEach([false, true], function (on) {
+                var suffix = on ? '-dark' : '';
+
+                SassTheme.setDark(on);
+                files.push({ name: 'theme-' + color + suffix + '.css', data: toBytes(SassTheme.toCss(color)) });
+                files.push({ name: '_variables' + suffix + '.scss', data: toBytes(SassTheme.toScss(color)) });
+            });
+            SassTheme.setDark(dark);
+
+            downloadFile('theme-' + color + '-light-dark.zip', SassImage.zip(files), 'application/zip');
+        },
+        // Replaces the gray theme images with ones recolored for color in the
+        // stylesheet with the given id, limited to scope like SassTheme.css().
+        tintImages: function (color, scope, id) {
+            var deficiency = panel.down('#simulation').getValue(),
+                key = color + deficiency;
+
+            Ext.util.CSS.removeStyleSheet(id);
+            tintedColors[id] = key;
+
+            if (!color || !panel.down('#tintImages').getValue()) {
+                return;
             }
+
+            if (!sprites || !sprites.length) {
+                sprites = SassImage.findSprites(document);
+            }
+            if (!sprites.length) {
+                panel.down('#tintImages').setValue(false);
+                imagesUnreadable('Recolor Images');
+                return;
+            }
+
+            SassImage.tint(sprites, color, deficiency, function (images, failed) {
+                // The color changed again while these were drawn.
+                if (tintedColors[id] !== key) {
+                    return;
+                }
+
+                Ext.util.CSS.removeStyleSheet(id);
+                Ext.util.CSS.createStyleSheet(SassImage.css(sprites, images, scope).join(''), id);
+
+                if (failed.length) {
+                    panel.down('#tintImages').setValue(false);
+                    imagesUnreadable('Recolor Images', failed[0]);
+                }
+            });
+        },
+        exportImages: function () {
+            var color = panel.down('#start').getHex(),
+                folder;
+
+            if (!color) {
+                return;
+            }
+
+            folder = 'theme-' + color.toLowerCase() + (SassTheme.isDark() ? '-dark' : '');
+            if (!sprites || !sprites.length) {
+                sprites = SassImage.findSprites(document);
+            }
+            if (!sprites.length) {
+                imagesUnreadable('Export Images');
+                return;
+            }
+
+            SassImage.tint(sprites, SassTheme.baseColor(color), '', function (images, failed) {
+                var files = [],
+                    path;
+
+                if (failed.length) {
+                    imagesUnreadable('Export Images', failed[0]);
+                    return;
+                }
+
+                // The tinted images are png, whatever the gray ones were
+                for (path in images) {
+                    if (images.hasOwnProperty(path)) {
+                        files.push({
+                            name: folder + '/' + path.replace(/\.\w+$/, '') + '.png',
+                            data: toBytes(window.atob(images[path].substring(images[path].indexOf(',') + 1)))
+                        });
+                    }
+                }
+
+                downloadFile(folder + '-images.zip', SassImage.zip(files), 'application/zip');
+            });
+        },
+        // Estimates the base color of an existing theme file, lists how close
+        // it gets to every color found and makes it the base color.
+        importTheme: function (text, fileName) {
+            var start = panel.down('#start'),
+                summary = importGrid.down('#importSummary'),
+                result;
+
+            try {
+                result = SassTheme.estimate(text);
+            } catch (e) {
+                importStore.removeAll();
+                summary.setText(Ext.String.htmlEncode(fileName) + ': ' + e.message.replace(/^SassTheme: /, ''));
+                return;
+            }
+
+            result.rules.sort(function (a, b) {
+                return b.error - a.error;
+            });
+            importStore.loadData(result.rules);
+            summary.setText(Ext.String.htmlEncode(fileName) + ': base color #' + result.color + ', average error ' + result.error);
+
+            start.setValue(result.color);
+            start.setColor();
+        },
+        // Downloads the swatches in one of the SassSwatch.formats.
+        exportPalette: function (format) {
+            var start = panel.down('#start'),
+                type = SassSwatch.formats[format],
+                color;
+
+            if (!start.isValid()) {
+                return;
+            }
+
+            color = start.getHex();
+            downloadFile('palette-' + color.toLowerCase() + '.' + type.extension, type.write('ExtJS theme #' + color, panel.swatches()), type.mimeType);
+        },
+        exportScss: function () {
+            var start = panel.down('#start');
+
+            if (!start.isValid()) {
+                return;
+            }
+
+            downloadFile('_variables' + (SassTheme.isDark() ? '-dark' : '') + '.scss', SassTheme.toScss(start.getHex()), 'text/x-scss');
         },
         items: [{
             xtype: 'panel',
@@ -787,21 +1513,31 @@ Ext.onReady(function () {
                     items: [{
                         xtype: 'textfield',
                         itemId: 'start',
-                        fieldLabel: 'Hex',
-                        value: 'C0D4ED',
+                        fieldLabel: 'Color',
+                        value: getDefaultColor(),
                         labelWidth: 75,
-                        width: 150,
-                        maskRe: /[0-9A-Fa-f]/,
-                        regex: /^[0-9A-Fa-f]+$/,
-                        minLength: 6,
-                        maxLength: 6,
+                        width: 230,
                         allowBlank: false,
-                        enforceMaxLength: true,
                         enableKeyEvents: true,
+                        validator: colorValidator,
+                        // The field accepts any css color, this returns it as
+                        // six hex digits.
+                        getHex: function () {
+                            return SassColor.parse(this.getValue());
+                        },
+                        // Rewrites whatever was typed or pasted as hex.
+                        normalize: function () {
+                            var field = this,
+                                value = field.getHex();
+
+                            if (value && value !== field.getValue()) {
+                                field.setValue(value);
+                            }
+                        },
                         setColor: function () {
                             var field = this,
                                 startPanel = field.up('panel'),
-                                value = field.getValue(),
+                                value = field.getHex(),
                                 rgb;
 
                             if (value && field.isValid()) {
@@ -810,18 +1546,17 @@ Ext.onReady(function () {
                                 });
 
                                 rgb = hexToRgb(value);
-                                startPanel.down('#red').setValue(rgb.r);
-                                startPanel.down('#redSlider').setValue(rgb.r);
-                                startPanel.down('#green').setValue(rgb.g);
-                                startPanel.down('#greenSlider').setValue(rgb.g);
-                                startPanel.down('#blue').setValue(rgb.b);
-                                startPanel.down('#blueSlider').setValue(rgb.b);
+                                panel.updateChannels(rgb);
 
                                 panel.showExample(false);
 								if (panel.down('#adjustmentPanel').body) {
 									panel.calculate();
 								}
 								panel.suggest();
+                                if (panel.down('#expression').getValue()) {
+                                    panel.evaluateExpression();
+                                }
+                                panel.recordHistory();
                             }
                         },
                         listeners: {
@@ -832,8 +1567,14 @@ Ext.onReady(function () {
                                 field.setColor();
                             },
                             blur: function (field) {
+                                field.normalize();
                                 field.setColor();
                             },
+                            specialkey: function (field, e) {
+                                if (e.getKey() === e.ENTER) {
+                                    field.normalize();
+                                }
+                            },
                             change: function (field) {
                                 field.setColor();
                             }
@@ -845,7 +1586,7 @@ Ext.onReady(function () {
                             click: function () {
                                 var start = panel.down('#start');
 
-                                start.setValue('C0D4ED');
+                                start.setValue(getDefaultColor());
                                 start.setColor();
                                 panel.showExample(false);
                             }
@@ -865,179 +1606,181 @@ Ext.onReady(function () {
 					}, {
                         xtype: 'button',
                         text: 'Show Window',
-                        margin: '0 20 0 0',
                         listeners: {
                             click: function () {
                                 panel.showExample(true);
                             }
                         }
-                    }]
-                }, {
-                    xtype: 'container',
-                    margin: '0 0 0 20',
-                    items: [{
-                        xtype: 'container',
-                        layout: 'column',
-                        items: [{
-                            xtype: 'numberfield',
-                            decimalPrecision: 0,
-                            allowBlank: false,
-                            itemId: 'red',
-                            fieldLabel: 'Red',
-                            labelWidth: 50,
-                            minValue: 0,
-                            maxValue: 255,
-                            maxLength: 3,
-                            enforceMaxLength: true,
-                            width: 110,
-                            margin: '0 10 0 0',
-                            setSlider: function () {
-                                var field = this;
-
-                                if (panel) {
-                                    panel.down('#redSlider').setValue(field.getValue());
-                                }
-                            },
+                    }, {
+                        xtype: 'button',
+                        text: 'Compare',
+                        listeners: {
+                            click: function () {
+                                panel.showCompare();
+                            }
+                        }
+                    }, {
+                        xtype: 'button',
+                        text: 'Export',
+                        margin: '0 20 0 0',
+                        menu: [{
+                            text: 'CSS',
                             listeners: {
-                                change: function (field) {
-                                    field.setSlider();
-                                },
-                                keyup: function (field) {
-                                    field.setSlider();
-                                },
-                                blur: function (field) {
-                                    field.setSlider();
+                                click: function () {
+                                    panel.exportCss(false);
                                 }
                             }
                         }, {
-                            xtype: 'slider',
-                            itemId: 'redSlider',
-                            width: 400,
-                            increment: 1,
-                            minValue: 0,
-                            maxValue: 255,
+                            text: 'Minified CSS',
                             listeners: {
-                                change: function (slider) {
-                                    var value = slider.getValue(),
-                                        hex = rgbToHex(value, panel.down('#green').getValue(), panel.down('#blue').getValue());
-
-                                    panel.down('#red').setValue(value);
-                                    panel.down('#start').setValue(hex);
-                                    panel.down('#startPanel').body.setStyle({
-                                        'background-color': '#' + hex
-                                    });
+                                click: function () {
+                                    panel.exportCss(true);
                                 }
                             }
-                        }]
-                    }, {
-                        xtype: 'container',
-                        layout: 'column',
-                        items: [{
-                            xtype: 'numberfield',
-                            decimalPrecision: 0,
-                            allowBlank: false,
-                            itemId: 'green',
-                            fieldLabel: 'Green',
-                            labelWidth: 50,
-                            minValue: 0,
-                            maxValue: 255,
-                            maxLength: 3,
-                            enforceMaxLength: true,
-                            width: 110,
-                            margin: '0 10 0 0',
-                            setSlider: function () {
-                                var field = this;
-
-                                if (panel) {
-                                    panel.down('#greenSlider').setValue(field.getValue());
+                        }, {
+                            text: 'SCSS Variables',
+                            listeners: {
+                                click: function () {
+                                    panel.exportScss();
                                 }
-                            },
+                            }
+                        }, {
+                            text: 'Light and Dark (zip)',
                             listeners: {
-                                change: function (field) {
-                                    field.setSlider();
-                                },
-                                keyup: function (field) {
-                                    field.setSlider();
-                                },
-                                blur: function (field) {
-                                    field.setSlider();
+                                click: function () {
+                                    panel.exportVariants();
                                 }
                             }
                         }, {
-                            xtype: 'slider',
-                            itemId: 'greenSlider',
-                            width: 400,
-                            increment: 1,
-                            minValue: 0,
-                            maxValue: 255,
+                            text: 'Palette',
+                            menu: [{
+                                text: 'GIMP Palette (.gpl)',
+                                listeners: {
+                                    click: function () {
+                                        panel.exportPalette('gpl');
+                                    }
+                                }
+                            }, {
+                                text: 'Adobe Swatch Exchange (.ase)',
+                                listeners: {
+                                    click: function () {
+                                        panel.exportPalette('ase');
+                                    }
+                                }
+                            }, {
+                                text: 'Sketch Palette (.sketchpalette)',
+                                listeners: {
+                                    click: function () {
+                                        panel.exportPalette('sketch');
+                                    }
+                                }
+                            }, {
+                                text: 'CSS Custom Properties',
+                                listeners: {
+                                    click: function () {
+                                        panel.exportPalette('css');
+                                    }
+                                }
+                            }]
+                        }, {
+                            text: 'Images Folder',
                             listeners: {
-                                change: function (slider) {
-                                    var value = slider.getValue(),
-                                        hex = rgbToHex(panel.down('#red').getValue(), value, panel.down('#blue').getValue());
-
-                                    panel.down('#green').setValue(value);
-                                    panel.down('#start').setValue(hex);
-                                    panel.down('#startPanel').body.setStyle({
-                                        'background-color': '#' + hex
-                                    });
+                                click: function () {
+                                    panel.exportImages();
                                 }
                             }
                         }]
                     }, {
-                        xtype: 'container',
-                        layout: 'column',
-                        items: [{
-                            xtype: 'numberfield',
-                            decimalPrecision: 0,
-                            allowBlank: false,
-                            itemId: 'blue',
-                            fieldLabel: 'Blue',
-                            labelWidth: 50,
-                            minValue: 0,
-                            maxValue: 255,
-                            maxLength: 3,
-                            enforceMaxLength: true,
-                            width: 110,
-                            margin: '0 10 0 0',
-                            setSlider: function () {
-                                var field = this;
-
-                                if (panel) {
-                                    panel.down('#blueSlider').setValue(field.getValue());
+                        xtype: 'combo',
+                        itemId: 'simulation',
+                        fieldLabel: 'Simulate',
+                        labelWidth: 75,
+                        width: 230,
+                        margin: '5 0 0 0',
+                        editable: false,
+                        queryMode: 'local',
+                        value: '',
+                        store: [
+                            ['', 'Normal vision'],
+                            ['protanopia', 'Protanopia (no red)'],
+                            ['deuteranopia', 'Deuteranopia (no green)'],
+                            ['tritanopia', 'Tritanopia (no blue)'],
+                            ['achromatopsia', 'Achromatopsia (no color)']
+                        ],
+                        listeners: {
+                            select: function () {
+                                panel.showExample(false);
+                                panel.suggest();
+                                if (compareWindow.isVisible()) {
+                                    panel.applyCompare();
                                 }
-                            },
-                            listeners: {
-                                change: function (field) {
-                                    field.setSlider();
-                                },
-                                keyup: function (field) {
-                                    field.setSlider();
-                                },
-                                blur: function (field) {
-                                    field.setSlider();
+                            }
+                        }
+                    }, {
+                        xtype: 'combo',
+                        itemId: 'profile',
+                        fieldLabel: 'Ext Theme',
+                        labelWidth: 75,
+                        width: 230,
+                        margin: '5 0 0 0',
+                        editable: false,
+                        queryMode: 'local',
+                        value: SassTheme.getProfile().name,
+                        store: Ext.Array.map(SassTheme.getProfiles(), function (profile) {
+                            return [profile.name, profile.label];
+                        }),
+                        listeners: {
+                            select: function (combo) {
+                                panel.setProfile(combo.getValue());
+                            }
+                        }
+                    }, {
+                        xtype: 'checkbox',
+                        itemId: 'exact',
+                        fieldLabel: 'Sass Exact',
+                        labelWidth: 75,
+                        boxLabel: 'Round like compiled Sass',
+                        listeners: {
+                            change: function (field, checked) {
+                                SassColor.setExact(checked);
+                                panel.down('#start').setColor();
+                                if (compareWindow.isVisible()) {
+                                    panel.applyCompare();
                                 }
                             }
-                        }, {
-                            xtype: 'slider',
-                            itemId: 'blueSlider',
-                            width: 400,
-                            increment: 1,
-                            minValue: 0,
-                            maxValue: 255,
-                            listeners: {
-                                change: function (slider) {
-                                    var value = slider.getValue(),
-                                        hex = rgbToHex(panel.down('#red').getValue(), panel.down('#green').getValue(), value);
-
-                                    panel.down('#blue').setValue(value);
-                                    panel.down('#start').setValue(hex);
-                                    panel.down('#startPanel').body.setStyle({
-                                        'background-color': '#' + hex
-                                    });
+                        }
+                    }, {
+                        xtype: 'checkbox',
+                        itemId: 'dark',
+                        fieldLabel: 'Dark',
+                        labelWidth: 75,
+                        boxLabel: 'Preview the dark variant',
+                        listeners: {
+                            change: function (field, checked) {
+                                SassTheme.setDark(checked);
+                                panel.down('#start').setColor();
+                            }
+                        }
+                    }, {
+                        xtype: 'checkbox',
+                        itemId: 'tintImages',
+                        fieldLabel: 'Images',
+                        labelWidth: 75,
+                        boxLabel: 'Recolor the gray images',
+                        checked: true,
+                        listeners: {
+                            change: function () {
+                                panel.showExample(false);
+                                if (compareWindow.isVisible()) {
+                                    panel.applyCompare();
                                 }
                             }
-                        }]
+                        }
                     }]
+                }, {
+                    xtype: 'container',
+                    margin: '0 0 0 20',
+                    items: channelRows
                 }, {
                     xtype: 'colorpicker',
                     margin: '0 0 0 25',
@@ -1051,6 +1794,13 @@ Ext.onReady(function () {
                         }
                     }
                 }]
+            }, {
+                xtype: 'fieldcontainer',
+                itemId: 'historyStrip',
+                fieldLabel: 'History',
+                labelWidth: 75,
+                margin: '5 0 0 0',
+                layout: 'hbox'
             }]
         }, {
             xtype: 'panel',
@@ -1129,33 +1879,116 @@ Ext.onReady(function () {
                     }
                 }, {
                     xtype: 'button',
-                    margin: '0 0 0 15',
-                    text: 'Calculate',
+                    margin: '0 0 0 15',
+                    text: 'Calculate',
+                    listeners: {
+                        click: function () {
+                            panel.calculate();
+                        }
+                    }
+                }, {
+                    xtype: 'displayfield',
+                    labelWidth: 65,
+                    width: 140,
+                    itemId: 'end',
+                    fieldLabel: 'New Color',
+					value: '#99BCE8',
+                    margin: '0 0 0 15'
+                }, {
+                    xtype: 'button',
+                    text: 'Set as new Base',
+                    listeners: {
+                        click: function () {
+                            var start = panel.down('#start');
+
+                            start.setValue(panel.down('#end').getValue().substring(1));
+                            start.setColor();
+                        }
+                    }
+                }]
+            }, {
+                xtype: 'container',
+                layout: 'column',
+                items: [{
+                    xtype: 'textfield',
+                    fieldLabel: 'Target',
+                    itemId: 'target',
+                    labelWidth: 40,
+                    width: 200,
+                    margin: '0 20 0 0 ',
+                    validator: function (value) {
+                        return !value || colorValidator(value);
+                    }
+                }, {
+                    xtype: 'button',
+                    text: 'Find Adjustment',
                     listeners: {
                         click: function () {
-                            panel.calculate();
+                            panel.findAdjustment();
                         }
                     }
                 }, {
                     xtype: 'displayfield',
-                    labelWidth: 65,
-                    width: 140,
-                    itemId: 'end',
-                    fieldLabel: 'New Color',
-					value: '#99BCE8',
+                    labelWidth: 55,
+                    itemId: 'residual',
+                    fieldLabel: 'Residual',
                     margin: '0 0 0 15'
+                }]
+            }, {
+                xtype: 'container',
+                layout: 'column',
+                margin: '5 0 0 0',
+                items: [{
+                    xtype: 'textfield',
+                    fieldLabel: 'Expression',
+                    itemId: 'expression',
+                    labelWidth: 65,
+                    width: 480,
+                    margin: '0 10 0 0',
+                    emptyText: 'mix(darken(adjust-hue($base-color, 10), 5%), #fff, 30%)',
+                    listeners: {
+                        specialkey: function (field, e) {
+                            if (e.getKey() === e.ENTER) {
+                                panel.evaluateExpression();
+                            }
+                        }
+                    }
+                }, {
+                    xtype: 'button',
+                    text: 'Evaluate',
+                    listeners: {
+                        click: function () {
+                            panel.evaluateExpression();
+                        }
+                    }
+                }, {
+                    xtype: 'component',
+                    itemId: 'expressionSwatch',
+                    width: 22,
+                    height: 22,
+                    margin: '0 10 0 15',
+                    style: {
+                        border: '1px solid #999999'
+                    }
                 }, {
                     xtype: 'button',
                     text: 'Set as new Base',
                     listeners: {
                         click: function () {
-                            var start = panel.down('#start');
+                            var start = panel.down('#start'),
+                                color = panel.down('#expressionSwatch').color;
 
-                            start.setValue(panel.down('#end').getValue().substring(1));
-                            start.setColor();
+                            if (color) {
+                                start.setValue(color);
+                                start.setColor();
+                            }
                         }
                     }
                 }]
+            }, {
+                xtype: 'component',
+                itemId: 'expressionSteps',
+                margin: '5 0 0 70'
             }]
         }, {
 			xtype: 'panel',
@@ -1168,41 +2001,69 @@ Ext.onReady(function () {
 				itemId: 'hueSuggestions',
 				frame: true,
 				title: 'Hue Variations',
-				bodyPadding: '0 0 0 45',
+				bodyPadding: '0 0 0 20',
 				margin: 10,
-				width: 300
+				width: 330,
+				tbar: [{
+					xtype: 'combo',
+					itemId: 'hueScheme',
+					width: 120,
+					editable: false,
+					queryMode: 'local',
+					value: 'wheel',
+					store: Ext.Array.map(['wheel', 'complementary', 'splitComplementary', 'triadic', 'square', 'tetradic', 'analogous', 'monochromatic'], function (scheme) {
+						return [scheme, SassColor.harmonies[scheme].label];
+					}),
+					listeners: {
+						select: function (combo) {
+							panel.setHueScheme(combo.getValue());
+						}
+					}
+				}].concat(variationFields('hue', 'wheel'))
 			}, {
 				xtype: 'panel',
 				itemId: 'saturationSuggestions',
 				frame: true,
 				title: 'Saturation Variations',
-				bodyPadding: '0 0 0 40',
+				bodyPadding: '0 0 0 20',
 				margin: 10,
-				width: 150
+				width: 210,
+				tbar: variationFields('saturation', 'saturation')
 			}, {
 				xtype: 'panel',
 				itemId: 'brightnessSuggestions',
 				frame: true,
 				title: 'Brightness Variations',
-				bodyPadding: '0 0 0 40',
+				bodyPadding: '0 0 0 20',
 				margin: 10,
-				width: 150
+				width: 210,
+				tbar: variationFields('brightness', 'lightness')
 			}]
 		}]
     });
 
-    sampleWindow = Ext.create('Ext.window.Window', {
-        title: 'Sample Window',
-        id: 'sampleWindow',
-        height: 600,
-        width: 630,
-        closeAction: 'hide',
-        layout: 'fit',
-        bodyPadding: 5,
-        buttons: [{
-            text: 'Sample Button'
-        }],
-        items: [{
+    sampleStore = Ext.create('Ext.data.Store', {
+        data: [
+            { field1: 'Sample', field2: 'data', field3: 'fields' },
+            { field1: 'Sample 2', field2: 'data 2', field3: 'fields 2' },
+            { field1: 'Sample 3', field2: 'data 3', field3: 'fields 3' }
+        ],
+        fields: ['field1', 'field2', 'field3'],
+        pageSize: 3,
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    // The sample components.  Each call returns a new config so the compare
+    // window can show two copies side by side.
+    createSamplePanel = function () {
+        // Radios are grouped by name across the page, each copy needs its own
+        var radioName = Ext.id(null, 'sampleRadio'),
+            sample = SassTheme.getProfile().sample,
+            config;
+
+        config = {
             xtype: 'panel',
             title: 'Sample Panel',
 			autoScroll: true,
@@ -1276,18 +2137,13 @@ Ext.onReady(function () {
                 xtype: 'grid',
                 title: 'Sample Grid',
                 margin: '5 0 0 0',
-                height: 150,
-                store: Ext.create('Ext.data.Store', {
-                    data: [
-                        { field1: 'Sample', field2: 'data', field3: 'fields' },
-                        { field1: 'Sample 2', field2: 'data 2', field3: 'fields 2' },
-                        { field1: 'Sample 3', field2: 'data 3', field3: 'fields 3' }
-                    ],
-                    fields: ['field1', 'field2', 'field3'],
-                    proxy: {
-                        type: 'memory'
-                    }
-                }),
+                height: 180,
+                store: sampleStore,
+                bbar: {
+                    xtype: 'pagingtoolbar',
+                    store: sampleStore,
+                    displayInfo: true
+                },
                 columns: [{
                     header: 'Column',
                     dataIndex: 'field1',
@@ -1301,16 +2157,728 @@ Ext.onReady(function () {
                     dataIndex: 'field3',
                     flex: 1
                 }]
+            }, {
+                xtype: 'form',
+                title: 'Sample Form',
+                margin: '5 0 0 0',
+                bodyPadding: 5,
+                defaults: {
+                    anchor: '100%',
+                    labelWidth: 90
+                },
+                items: [{
+                    xtype: 'textfield',
+                    fieldLabel: 'Text Field'
+                }, {
+                    xtype: 'combo',
+                    fieldLabel: 'Combo Box',
+                    queryMode: 'local',
+                    store: ['Sample', 'Sample 2', 'Sample 3']
+                }, {
+                    xtype: 'datefield',
+                    fieldLabel: 'Trigger Field'
+                }, {
+                    xtype: 'textfield',
+                    fieldLabel: 'Invalid Field',
+                    value: 'Sample',
+                    listeners: {
+                        afterrender: function (field) {
+                            field.markInvalid('Sample error message');
+                        }
+                    }
+                }, {
+                    xtype: 'checkboxgroup',
+                    fieldLabel: 'Checkboxes',
+                    items: [{
+                        boxLabel: 'Sample',
+                        checked: true
+                    }, {
+                        boxLabel: 'Sample 2'
+                    }, {
+                        boxLabel: 'Sample 3'
+                    }]
+                }, {
+                    xtype: 'radiogroup',
+                    fieldLabel: 'Radios',
+                    items: [{
+                        boxLabel: 'Sample',
+                        name: radioName,
+                        checked: true
+                    }, {
+                        boxLabel: 'Sample 2',
+                        name: radioName
+                    }, {
+                        boxLabel: 'Sample 3',
+                        name: radioName
+                    }]
+                }]
+            }, {
+                xtype: 'container',
+                layout: 'border',
+                margin: '5 0 0 0',
+                height: 180,
+                items: [{
+                    xtype: 'treepanel',
+                    title: 'Sample Tree',
+                    region: 'west',
+                    width: 200,
+                    split: true,
+                    rootVisible: false,
+                    store: Ext.create('Ext.data.TreeStore', {
+                        root: {
+                            expanded: true,
+                            children: [{
+                                text: 'Sample',
+                                expanded: true,
+                                children: [{
+                                    text: 'Sample 2',
+                                    leaf: true
+                                }, {
+                                    text: 'Sample 3',
+                                    leaf: true
+                                }]
+                            }, {
+                                text: 'Sample 4',
+                                leaf: true
+                            }]
+                        }
+                    })
+                }, {
+                    xtype: 'panel',
+                    title: 'Sample Progress and Tips',
+                    region: 'center',
+                    bodyPadding: 5,
+                    items: [{
+                        xtype: 'progressbar',
+                        value: 0.6,
+                        text: 'Sample Progress'
+                    }, {
+                        xtype: 'button',
+                        text: 'Hover for Tooltip',
+                        margin: '10 5 0 0',
+                        tooltip: {
+                            title: 'Sample Tooltip',
+                            text: 'Sample tooltip text'
+                        }
+                    }, {
+                        xtype: 'button',
+                        text: 'Show Message Box',
+                        margin: '10 0 0 0',
+                        listeners: {
+                            click: function () {
+                                Ext.Msg.show({
+                                    title: 'Sample Message Box',
+                                    msg: 'Sample message',
+                                    buttons: Ext.Msg.OKCANCEL,
+                                    icon: Ext.Msg.INFO
+                                });
+                            }
+                        }
+                    }]
+                }]
             }]
+        };
+
+        // The profile can change the components for its ExtJS version
+        if (sample) {
+            config.items = sample(config.items);
+        }
+
+        return config;
+    };
+
+    sampleWindow = Ext.create('Ext.window.Window', {
+        title: 'Sample Window',
+        id: 'sampleWindow',
+        height: 600,
+        width: 630,
+        closeAction: 'hide',
+        layout: 'fit',
+        listeners: {
+            show: function () {
+                panel.updateHash();
+            },
+            hide: function () {
+                inspectorGrid.down('#inspect').toggle(false);
+                panel.updateHash();
+            }
+        },
+        bodyPadding: 5,
+        buttons: [{
+            text: 'Sample Button'
+        }],
+        items: [createSamplePanel()]
+    });
+
+    // Two copies of the sample components, each themed with its own base
+    // color.  Menus, tooltips and combo lists float outside both sides and
+    // keep the main theme.
+    compareWindow = Ext.create('Ext.window.Window', {
+        title: 'Compare Themes',
+        id: 'compareWindow',
+        height: 600,
+        width: 1250,
+        closeAction: 'hide',
+        layout: {
+            type: 'hbox',
+            align: 'stretch'
+        },
+        bodyPadding: 5,
+        tbar: [{
+            xtype: 'textfield',
+            itemId: 'compareA',
+            fieldLabel: 'A',
+            labelWidth: 15,
+            width: 150,
+            validator: colorValidator,
+            listeners: {
+                change: function () {
+                    panel.applyCompare();
+                }
+            }
+        }, {
+            xtype: 'checkbox',
+            itemId: 'compareDarkA',
+            boxLabel: 'Dark',
+            margin: '0 5 0 5',
+            listeners: {
+                change: function () {
+                    panel.applyCompare();
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Use A',
+            listeners: {
+                click: function () {
+                    panel.useCompare('A');
+                }
+            }
+        }, '-', {
+            xtype: 'button',
+            text: 'Swap',
+            listeners: {
+                click: function () {
+                    panel.swapCompare();
+                }
+            }
+        }, '-', {
+            xtype: 'textfield',
+            itemId: 'compareB',
+            fieldLabel: 'B',
+            labelWidth: 15,
+            width: 150,
+            validator: colorValidator,
+            listeners: {
+                change: function () {
+                    panel.applyCompare();
+                }
+            }
+        }, {
+            xtype: 'checkbox',
+            itemId: 'compareDarkB',
+            boxLabel: 'Dark',
+            margin: '0 5 0 5',
+            listeners: {
+                change: function () {
+                    panel.applyCompare();
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Use B',
+            listeners: {
+                click: function () {
+                    panel.useCompare('B');
+                }
+            }
+        }],
+        items: [{
+            xtype: 'container',
+            cls: 'sass-compare-a',
+            layout: 'fit',
+            flex: 1,
+            margin: '0 5 0 0',
+            items: [createSamplePanel()]
+        }, {
+            xtype: 'container',
+            cls: 'sass-compare-b',
+            layout: 'fit',
+            flex: 1,
+            items: [createSamplePanel()]
+        }]
+    });
+
+    auditStore = Ext.create('Ext.data.Store', {
+        fields: ['ruleSet', 'label', 'selector', 'text', 'background', 'stops', 'ratio', 'aa', 'aaa'],
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    // Every text and background pair the theme puts together, checked
+    // against the WCAG AA (4.5:1) and AAA (7:1) contrast levels.  A gradient
+    // background shows the stop the text reads worst on.  Clicking a row
+    // flashes that component in the sample window.
+    auditGrid = Ext.create('Ext.grid.Panel', {
+        title: 'Contrast Audit',
+        store: auditStore,
+        tbar: [{
+            xtype: 'tbtext',
+            itemId: 'auditSummary'
+        }, '->', {
+            xtype: 'tbtext',
+            itemId: 'auditStatus'
+        }],
+        columns: [{
+            header: 'Component',
+            dataIndex: 'label',
+            flex: 1
+        }, {
+            header: 'Sample',
+            dataIndex: 'text',
+            width: 120,
+            renderer: function (value, metaData, record) {
+                if (record.get('stops').length > 1) {
+                    metaData.tdAttr = 'data-qtip="worst of the gradient stops ' + record.get('stops').join(', ') + '"';
+                }
+                return '<span style="padding: 0 4px; color: ' + value + '; background-color: ' + record.get('background') + ';">' +
+                    value + ' on ' + record.get('background') + '</span>';
+            }
+        }, {
+            header: 'Ratio',
+            dataIndex: 'ratio',
+            width: 50,
+            renderer: function (value) {
+                return value.toFixed(2) + ':1';
+            }
+        }, {
+            header: 'AA',
+            dataIndex: 'aa',
+            width: 40,
+            renderer: function (value) {
+                return value ? 'Pass' : '<b style="color: #CC3300;">Fail</b>';
+            }
+        }, {
+            header: 'AAA',
+            dataIndex: 'aaa',
+            width: 40,
+            renderer: function (value) {
+                return value ? 'Pass' : '<b style="color: #CC3300;">Fail</b>';
+            }
+        }],
+        listeners: {
+            itemclick: function (view, record) {
+                panel.highlight(record);
+            }
+        }
+    });
+
+    importStore = Ext.create('Ext.data.Store', {
+        fields: ['rule', 'name', 'expected', 'actual', 'error'],
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    // The colors found in an imported theme file next to the ones the
+    // estimated base color gives, worst match first.  The error is the
+    // distance between the two in rgb.
+    importGrid = Ext.create('Ext.grid.Panel', {
+        title: 'Import',
+        store: importStore,
+        tbar: [{
+            xtype: 'filefield',
+            buttonOnly: true,
+            buttonText: 'Open Theme File...',
+            listeners: {
+                change: function (field) {
+                    var file = field.fileInputEl.dom.files[0],
+                        reader;
+
+                    if (!file) {
+                        return;
+                    }
+
+                    reader = new FileReader();
+                    reader.onload = function () {
+                        panel.importTheme(reader.result, file.name);
+                    };
+                    reader.readAsText(file);
+                    field.reset();
+                }
+            }
+        }, {
+            xtype: 'tbtext',
+            itemId: 'importSummary',
+            text: 'Open a compiled ext-all css or a _variables.scss file'
+        }],
+        columns: [{
+            header: 'Rule',
+            dataIndex: 'rule',
+            flex: 1
+        }, {
+            header: 'File',
+            dataIndex: 'expected',
+            width: 80,
+            renderer: function (value) {
+                return '<span style="padding: 0 8px; margin-right: 4px; border: 1px solid #999999; background-color: ' + value + ';"></span>' + value;
+            }
+        }, {
+            header: 'Estimate',
+            dataIndex: 'actual',
+            width: 80,
+            renderer: function (value) {
+                return '<span style="padding: 0 8px; margin-right: 4px; border: 1px solid #999999; background-color: ' + value + ';"></span>' + value;
+            }
+        }, {
+            header: 'Error',
+            dataIndex: 'error',
+            width: 45
         }]
     });
 
+    inspectorStore = Ext.create('Ext.data.Store', {
+        fields: ['rule', 'value', 'color', 'entry', 'expression', 'fromBase'],
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    // The theme rules styling the element last clicked in the sample window
+    // with Inspect pressed: the palette entry behind each color and the
+    // adjust-color() call that makes it.  Entries made from another entry
+    // also show the single adjustment of the base color that gives them.
+    inspectorGrid = Ext.create('Ext.grid.Panel', {
+        title: 'Inspector',
+        store: inspectorStore,
+        tbar: [{
+            xtype: 'button',
+            itemId: 'inspect',
+            text: 'Inspect',
+            enableToggle: true,
+            listeners: {
+                toggle: function (button, pressed) {
+                    panel.setInspecting(pressed);
+                }
+            }
+        }, {
+            xtype: 'tbtext',
+            itemId: 'inspectorStatus'
+        }],
+        columns: [{
+            header: 'Rule',
+            dataIndex: 'rule',
+            flex: 1
+        }, {
+            header: 'Color',
+            dataIndex: 'color',
+            width: 120,
+            renderer: function (value, metaData, record) {
+                if (!value) {
+                    return record.get('value');
+                }
+
+                return '<span style="padding: 0 8px; margin-right: 4px; border: 1px solid #999999; background-color: ' + value + ';"></span>' + value +
+                    ' <a href="#" class="sass-copy" data-field="color">Copy</a>';
+            }
+        }, {
+            header: 'Palette Entry',
+            dataIndex: 'expression',
+            flex: 1,
+            renderer: function (value, metaData, record) {
+                if (!value) {
+                    return '';
+                }
+
+                return '<div style="white-space: normal;">$' + record.get('entry') + ': ' + value +
+                    ' <a href="#" class="sass-copy" data-field="expression">Copy</a>' + (record.get('fromBase') ? '<br />from the base color: ' +
+                    record.get('fromBase') + ' <a href="#" class="sass-copy" data-field="fromBase">Copy</a>' : '') + '</div>';
+            }
+        }],
+        listeners: {
+            itemclick: function (view, record, item, index, e) {
+                var link = e.getTarget('.sass-copy');
+
+                if (link) {
+                    e.preventDefault();
+                    copyText(record.get(link.getAttribute('data-field')));
+                    inspectorGrid.down('#inspectorStatus').setText('Copied ' + Ext.String.htmlEncode(record.get(link.getAttribute('data-field'))));
+                }
+            }
+        }
+    });
+
+    overridesStore = Ext.create('Ext.data.Store', {
+        fields: ['name', 'from', 'hue', 'saturation', 'lightness', 'fixed', 'color', 'overridden'],
+        proxy: {
+            type: 'memory'
+        }
+    });
+
+    // Every palette entry the theme derives from the base color.  Double
+    // click the hue, saturation or lightness to change an entry's
+    // adjustment, or Fixed Color to give it a color of its own.  Overrides
+    // apply to the preview and to everything that is exported.
+    overridesGrid = Ext.create('Ext.grid.Panel', {
+        title: 'Overrides',
+        store: overridesStore,
+        plugins: [Ext.create('Ext.grid.plugin.CellEditing', {
+            clicksToEdit: 2
+        })],
+        tbar: [{
+            xtype: 'button',
+            text: 'Reset All',
+            listeners: {
+                click: function () {
+                    panel.applyOverrides({});
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Save Overrides',
+            listeners: {
+                click: function () {
+                    downloadFile('overrides.json', JSON.stringify(SassTheme.getOverrides(), null, 4) + '\n', 'application/json');
+                }
+            }
+        }],
+        columns: [{
+            dataIndex: 'color',
+            width: 30,
+            renderer: function (value) {
+                return '<div style="height: 14px; border: 1px solid #999999; background-color: #' + value + ';"></div>';
+            }
+        }, {
+            header: 'Entry',
+            dataIndex: 'name',
+            flex: 1,
+            renderer: function (value, metaData, record) {
+                metaData.tdAttr = 'data-qtip="adjusted from $' + record.get('from') + '"';
+                return (record.get('overridden') ? '<b>$' + value + '</b>' : '$' + value);
+            }
+        }, {
+            header: 'Hue',
+            dataIndex: 'hue',
+            width: 50,
+            editor: {
+                xtype: 'numberfield',
+                allowBlank: false,
+                decimalPrecision: 3,
+                minValue: -360,
+                maxValue: 360
+            }
+        }, {
+            header: 'Sat',
+            dataIndex: 'saturation',
+            width: 50,
+            editor: {
+                xtype: 'numberfield',
+                allowBlank: false,
+                decimalPrecision: 3,
+                minValue: -100,
+                maxValue: 100
+            }
+        }, {
+            header: 'Light',
+            dataIndex: 'lightness',
+            width: 50,
+            editor: {
+                xtype: 'numberfield',
+                allowBlank: false,
+                decimalPrecision: 3,
+                minValue: -100,
+                maxValue: 100
+            }
+        }, {
+            header: 'Fixed Color',
+            dataIndex: 'fixed',
+            width: 75,
+            editor: {
+                xtype: 'textfield',
+                validator: function (value) {
+                    return !value || colorValidator(value);
+                }
+            }
+        }, {
+            header: 'Color',
+            dataIndex: 'color',
+            width: 60,
+            renderer: function (value) {
+                return '#' + value;
+            }
+        }, {
+            dataIndex: 'overridden',
+            width: 40,
+            renderer: function (value) {
+                return value ? '<a href="#" class="sass-reset">Reset</a>' : '';
+            }
+        }],
+        listeners: {
+            activate: function () {
+                panel.refreshOverrides();
+            },
+            edit: function (editor, e) {
+                panel.setOverride(e.record);
+            },
+            itemclick: function (view, record, item, index, e) {
+                var overrides;
+
+                if (e.getTarget('.sass-reset')) {
+                    e.preventDefault();
+                    overrides = SassTheme.getOverrides();
+                    delete overrides[record.get('name')];
+                    panel.applyOverrides(overrides);
+                }
+            }
+        }
+    });
+
+    // Saved base colors.  Click a row to load it, double click the name or
+    // notes to edit them.
+    favoritesGrid = Ext.create('Ext.grid.Panel', {
+        title: 'Favorites',
+        store: favoritesStore,
+        plugins: [Ext.create('Ext.grid.plugin.CellEditing', {
+            clicksToEdit: 2
+        })],
+        tbar: [{
+            xtype: 'textfield',
+            itemId: 'favoriteName',
+            emptyText: 'Name',
+            width: 150
+        }, {
+            xtype: 'button',
+            text: 'Save Current Color',
+            listeners: {
+                click: function () {
+                    panel.addFavorite();
+                }
+            }
+        }],
+        bbar: [{
+            xtype: 'button',
+            text: 'Move Up',
+            listeners: {
+                click: function () {
+                    panel.moveFavorite(-1);
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Move Down',
+            listeners: {
+                click: function () {
+                    panel.moveFavorite(1);
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Set as Default',
+            listeners: {
+                click: function () {
+                    panel.toggleDefaultFavorite();
+                }
+            }
+        }, {
+            xtype: 'button',
+            text: 'Delete',
+            listeners: {
+                click: function () {
+                    panel.deleteFavorite();
+                }
+            }
+        }],
+        columns: [{
+            dataIndex: 'color',
+            width: 30,
+            renderer: function (value) {
+                return '<div style="height: 14px; border: 1px solid #999999; background-color: #' + value + ';"></div>';
+            }
+        }, {
+            header: 'Name',
+            dataIndex: 'name',
+            flex: 1,
+            editor: {
+                xtype: 'textfield',
+                allowBlank: false
+            }
+        }, {
+            header: 'Color',
+            dataIndex: 'color',
+            width: 65,
+            renderer: function (value) {
+                return '#' + value;
+            }
+        }, {
+            header: 'Notes',
+            dataIndex: 'notes',
+            flex: 2,
+            editor: {
+                xtype: 'textfield'
+            }
+        }, {
+            header: 'Default',
+            dataIndex: 'isDefault',
+            width: 50,
+            renderer: function (value) {
+                return value ? '<b>Default</b>' : '';
+            }
+        }],
+        listeners: {
+            itemclick: function (view, record) {
+                panel.loadFavorite(record);
+            },
+            edit: function () {
+                saveFavorites();
+            }
+        }
+    });
+
     Ext.create('Ext.Viewport', {
         layout: 'border',
         items: [{
             region: 'center',
             layout: 'fit',
             items: panel
+        }, {
+            region: 'east',
+            xtype: 'tabpanel',
+            width: 420,
+            split: true,
+            collapsible: true,
+            title: 'Tools',
+            items: [auditGrid, favoritesGrid, importGrid, inspectorGrid, overridesGrid]
         }]
     });
+
+    // Text fields keep their own undo and redo
+    Ext.create('Ext.util.KeyMap', Ext.getDoc(), [{
+        key: Ext.EventObject.Z,
+        ctrl: true,
+        shift: false,
+        fn: function (key, e) {
+            if (e.getTarget('input,textarea')) {
+                return;
+            }
+            e.preventDefault();
+            panel.undo();
+        }
+    }, {
+        key: Ext.EventObject.Z,
+        ctrl: true,
+        shift: true,
+        fn: function (key, e) {
+            if (e.getTarget('input,textarea')) {
+                return;
+            }
+            e.preventDefault();
+            panel.redo();
+        }
+    }]);
+
+    Ext.EventManager.on(window, 'hashchange', function () {
+        panel.restoreHash();
+    });
+    panel.restoreHash();
 });
\ No newline at end of file
@@ -0,0 +1,193 @@
+/**
+ * Checks the color math in sasscolor.js.  Run it from the repository root
+ * with:
+ *
+ *     node test/sasscolor.test.js
+ *
+ * The Sass reference colors come from sassvectors.json, compiled with the
+ * Sass version named in that file.
+ */
+var assert = require('assert'),
+    path = require('path'),
+    SassColor = require('../sasscolor.js'),
+    SassTheme = require('../sasstheme.js'),
+    vectors = require(path.join(__dirname, '..', 'sassvectors.json')),
+    tests = [],
+    failures = 0,
+    test,
+    roundRgb;
+
+test = function (name, fn) {
+    tests.push({ name: name, fn: fn });
+};
+
+// hslToRgb() returns unrounded channels
+roundRgb = function (rgb) {
+    return { r: Math.round(rgb.r), g: Math.round(rgb.g), b: Math.round(rgb.b) };
+};
+
+test('hexToRgb and rgbToHex round-trip', function () {
+    var hex,
+        rgb,
+        i;
+
+    for (i = 0; i < 0xFFFFFF; i += 0x0F0F0F) {
+        hex = SassColor.rgbToHex(i >> 16, (i >> 8) & 0xFF, i & 0xFF);
+        rgb = SassColor.hexToRgb(hex);
+        assert.strictEqual(SassColor.rgbToHex(rgb.r, rgb.g, rgb.b), hex);
+    }
+
+    assert.deepStrictEqual(SassColor.hexToRgb('C0D4ED'), { r: 192, g: 212, b: 237 });
+    assert.deepStrictEqual(SassColor.hexToRgb('c0d4ed'), { r: 192, g: 212, b: 237 });
+    assert.strictEqual(SassColor.rgbToHex(0, 0, 0), '000000');
+    assert.strictEqual(SassColor.rgbToHex(255, 255, 255), 'FFFFFF');
+});
+
+test('rgbToHsl and hslToRgb round-trip', function () {
+    var r,
+        g,
+        b,
+        hsl;
+
+    for (r = 0; r <= 255; r += 17) {
+        for (g = 0; g <= 255; g += 51) {
+            for (b = 0; b <= 255; b += 85) {
+                hsl = SassColor.rgbToHsl(r, g, b);
+                assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(hsl.h, hsl.s, hsl.l)), { r: r, g: g, b: b },
+                    'rgb(' + r + ', ' + g + ', ' + b + ')');
+            }
+        }
+    }
+
+    assert.deepStrictEqual(SassColor.rgbToHsl(255, 0, 0), { h: 0, s: 100, l: 50 });
+    assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(120, 100, 20)), { r: 0, g: 102, b: 0 });
+});
+
+test('hue wraps around', function () {
+    var blue = { r: 0, g: 0, b: 255 };
+
+    assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(-120, 100, 50)), blue);
+    assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(600, 100, 50)), blue);
+    assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(360, 100, 50)), { r: 255, g: 0, b: 0 });
+    assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(-720, 100, 50)), { r: 255, g: 0, b: 0 });
+
+    SassColor.setExact(true);
+
+    try {
+        assert.strictEqual(SassColor.adjust('FF0000', -360, 0, 0), '#FF0000');
+        assert.strictEqual(SassColor.adjust('FF0000', 480, 0, 0), '#00FF00');
+        assert.strictEqual(SassColor.adjust('FF0000', -120, 0, 0), '#0000FF');
+    } finally {
+        SassColor.setExact(false);
+    }
+});
+
+test('grays have no hue or saturation', function () {
+    var gray = SassColor.rgbToHsl(128, 128, 128),
+        i;
+
+    assert.strictEqual(gray.h, 0);
+    assert.strictEqual(gray.s, 0);
+    assert.deepStrictEqual(SassColor.rgbToHsl(0, 0, 0), { h: 0, s: 0, l: 0 });
+    assert.deepStrictEqual(SassColor.rgbToHsl(255, 255, 255), { h: 0, s: 0, l: 100 });
+
+    // Any hue gives the same gray when there is no saturation
+    for (i = -360; i <= 720; i += 45) {
+        assert.deepStrictEqual(roundRgb(SassColor.hslToRgb(i, 0, 40)), { r: 102, g: 102, b: 102 });
+    }
+
+    SassColor.setExact(true);
+
+    try {
+        assert.strictEqual(SassColor.adjust('808080', 90, 0, 0), '#808080');
+    } finally {
+        SassColor.setExact(false);
+    }
+});
+
+test('adjust() gives the default theme colors', function () {
+    // Two of the theme colors, adjusted from the default base color
+    assert.strictEqual(SassColor.adjust('C0D4ED', 0, 7.644, -8.627), '#99BCE8');
+    assert.strictEqual(SassColor.adjust('C0D4ED', -0.725, -9.556, -3.725), '#B6CBE4');
+});
+
+test('harmony() labels tints and shades of 0%', function () {
+    var swatches = SassColor.harmony('C0D4ED', 'monochromatic', 0, 1),
+        i;
+
+    assert.strictEqual(swatches.length, 2);
+    for (i = 0; i < swatches.length; i += 1) {
+        assert.strictEqual(swatches[i].change, '0%');
+        assert.strictEqual(swatches[i].color, '#C0D4ED');
+    }
+    assert.strictEqual(swatches[0].label, 'Tint 0%');
+    assert.strictEqual(swatches[1].label, 'Shade 0%');
+    assert.strictEqual(SassColor.harmony('C0D4ED', 'monochromatic', 7, 1)[0].label, 'Tint 7%');
+});
+
+test('adjust() matches Sass in exact mode', function () {
+    var checked = 0,
+        entry,
+        expected,
+        i,
+        j;
+
+    SassColor.setExact(true);
+
+    try {
+        for (i = 0; i < vectors.palette.length; i += 1) {
+            for (j = 0; j < SassTheme.palette.length; j += 1) {
+                entry = SassTheme.palette[j];
+                expected = vectors.palette[i].colors[entry.name];
+
+                // Entries made from another entry aren't one adjust() call
+                if (!entry.from && expected) {
+                    assert.strictEqual(SassColor.adjust(vectors.palette[i].base.substring(1), entry.hue, entry.saturation, entry.lightness),
+                        expected.toUpperCase(), vectors.palette[i].base + ' $' + entry.name);
+                    checked += 1;
+                }
+            }
+        }
+    } finally {
+        SassColor.setExact(false);
+    }
+
+    assert.ok(checked > 0, 'no reference colors in sassvectors.json');
+});
+
+test('adjust() is at most one step off Sass without exact mode', function () {
+    var entry,
+        expected,
+        actual,
+        i,
+        j;
+
+    for (i = 0; i < vectors.palette.length; i += 1) {
+        for (j = 0; j < SassTheme.palette.length; j += 1) {
+            entry = SassTheme.palette[j];
+            expected = vectors.palette[i].colors[entry.name];
+
+            if (!entry.from && expected) {
+                expected = SassColor.hexToRgb(expected.substring(1));
+                actual = SassColor.hexToRgb(SassColor.adjust(vectors.palette[i].base.substring(1),
+                    entry.hue, entry.saturation, entry.lightness).substring(1));
+
+                assert.ok(Math.abs(actual.r - expected.r) <= 1 && Math.abs(actual.g - expected.g) <= 1 &&
+                    Math.abs(actual.b - expected.b) <= 1, vectors.palette[i].base + ' $' + entry.name);
+            }
+        }
+    }
+});
+
+tests.forEach(function (item) {
+    try {
+        item.fn();
+        process.stdout.write('ok - ' + item.name + '\n');
+    } catch (e) {
+        failures += 1;
+        process.stdout.write('not ok - ' + item.name + '\n    ' + e.message.split('\n').join('\n    ') + '\n');
+    }
+});
+
+process.stdout.write(tests.length - failures + ' of ' + tests.length + ' passed (' + vectors.sass + ' reference colors)\n');
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,72 @@
+/**
+ * Checks the expression evaluator in sassexpr.js.  Run it from the
+ * repository root with:
+ *
+ *     node test/sassexpr.test.js
+ */
+var assert = require('assert'),
+    SassColor = require('../sasscolor.js'),
+    SassExpression = require('../sassexpr.js'),
+    tests = [],
+    failures = 0,
+    test,
+    bothModes,
+    evaluate;
+
+test = function (name, fn) {
+    tests.push({ name: name, fn: fn });
+};
+
+// Runs fn without and with Sass Exact
+bothModes = function (fn) {
+    fn();
+    SassColor.setExact(true);
+
+    try {
+        fn();
+    } finally {
+        SassColor.setExact(false);
+    }
+};
+
+evaluate = function (source) {
+    return SassExpression.evaluate(source, { 'base-color': 'C0D4ED' }).color;
+};
+
+test('hsl() gives white and pure green', function () {
+    bothModes(function () {
+        assert.strictEqual(evaluate('hsl(0, 0%, 100%)'), '#FFFFFF');
+        assert.strictEqual(evaluate('hsl(120, 100%, 50%)'), '#00FF00');
+        assert.strictEqual(evaluate('hsl(240, 100%, 50%)'), '#0000FF');
+    });
+});
+
+test('hsl functions round like Sass', function () {
+    bothModes(function () {
+        assert.strictEqual(evaluate('complement(#ff0000)'), '#00FFFF');
+        assert.strictEqual(evaluate('lighten(#000, 100%)'), '#FFFFFF');
+        assert.strictEqual(evaluate('adjust-hue(#ff0000, 120)'), '#00FF00');
+        assert.strictEqual(evaluate('darken($base-color, 10%)'), '#98B9E2');
+    });
+});
+
+test('rgb functions round like Sass', function () {
+    bothModes(function () {
+        assert.strictEqual(evaluate('mix(#ff0000, #0000ff)'), '#800080');
+        assert.strictEqual(evaluate('mix(#ff0000, #0000ff, 25%)'), '#4000BF');
+        assert.strictEqual(evaluate('rgb(50%, 10.1%, 0.3%)'), '#801A01');
+    });
+});
+
+tests.forEach(function (item) {
+    try {
+        item.fn();
+        process.stdout.write('ok - ' + item.name + '\n');
+    } catch (e) {
+        failures += 1;
+        process.stdout.write('not ok - ' + item.name + '\n    ' + e.message.split('\n').join('\n    ') + '\n');
+    }
+});
+
+process.stdout.write(tests.length - failures + ' of ' + tests.length + ' passed\n');
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,90 @@
+/**
+ * Checks the contrast audit in sasstheme.js.  Run it from the repository
+ * root with:
+ *
+ *     node test/sasstheme.test.js
+ */
+var assert = require('assert'),
+    SassColor = require('../sasscolor.js'),
+    SassTheme = require('../sasstheme.js'),
+    tests = [],
+    failures = 0,
+    test,
+    find;
+
+test = function (name, fn) {
+    tests.push({ name: name, fn: fn });
+};
+
+// The audit result labelled label
+find = function (results, label) {
+    var i;
+
+    for (i = 0; i < results.length; i += 1) {
+        if (results[i].label === label) {
+            return results[i];
+        }
+    }
+
+    throw new Error('no audit result for ' + label);
+};
+
+test('gradients are checked against the stop the text reads worst on', function () {
+    var result = find(SassTheme.audit('C0D4ED'), 'Button, pressed'),
+        worst = null,
+        i;
+
+    assert.strictEqual(result.stops.length, 4);
+    assert.strictEqual(result.stops[0], SassTheme.computePalette('C0D4ED').b6cbe4.toUpperCase());
+
+    for (i = 0; i < result.stops.length; i += 1) {
+        if (worst === null || SassColor.contrast(result.text.substring(1), result.stops[i].substring(1)) <
+                SassColor.contrast(result.text.substring(1), worst.substring(1))) {
+            worst = result.stops[i];
+        }
+    }
+
+    assert.strictEqual(result.background, worst);
+    assert.notStrictEqual(result.background, result.stops[0]);
+    assert.strictEqual(result.ratio, Math.round(SassColor.contrast(result.text.substring(1), worst.substring(1)) * 100) / 100);
+});
+
+test('single color backgrounds have one stop', function () {
+    var result = find(SassTheme.audit('C0D4ED'), 'Load mask message');
+
+    assert.deepStrictEqual(result.stops, [result.background]);
+});
+
+test('the dark variant reads on every gradient stop', function () {
+    var results,
+        i;
+
+    SassTheme.setDark(true);
+
+    try {
+        results = SassTheme.audit('C0D4ED').concat(SassTheme.audit('333333'), SassTheme.audit('FF0000'));
+    } finally {
+        SassTheme.setDark(false);
+    }
+
+    for (i = 0; i < results.length; i += 1) {
+        assert.ok(results[i].aa, results[i].label + ' ' + results[i].text + ' on ' + results[i].background);
+    }
+});
+
+test('unaudited() names the rule sets without contrast pairs', function () {
+    assert.deepStrictEqual(SassTheme.unaudited(), ['accordion', 'splitter', 'paging']);
+});
+
+tests.forEach(function (item) {
+    try {
+        item.fn();
+        process.stdout.write('ok - ' + item.name + '\n');
+    } catch (e) {
+        failures += 1;
+        process.stdout.write('not ok - ' + item.name + '\n    ' + e.message.split('\n').join('\n    ') + '\n');
+    }
+});
+
+process.stdout.write(tests.length - failures + ' of ' + tests.length + ' passed\n');
+process.exit(failures ? 1 : 0);
@@ -0,0 +1,102 @@
+/**
+ * Checks the bin/sasstool command line.  Run it from the repository root
+ * with:
+ *
+ *     node test/sasstool.test.js
+ */
+var assert = require('assert'),
+    childProcess = require('child_process'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    tool = path.join(__dirname, '..', 'bin', 'sasstool'),
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sasstool-')),
+    tests = [],
+    failures = 0,
+    test,
+    run;
+
+test = function (name, fn) {
+    tests.push({ name: name, fn: fn });
+};
+
+// Returns { status, stdout, stderr } of bin/sasstool with args
+run = function (args) {
+    var result = childProcess.spawnSync(process.execPath, [tool].concat(args), { encoding: 'utf8' });
+
+    return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+};
+
+test('--overrides reads a json theme saved without overrides', function () {
+    var file = path.join(dir, 'plain.json'),
+        theme = run(['generate', '--base', 'C0D4ED', '--format', 'json']),
+        result;
+
+    assert.strictEqual(theme.status, 0, theme.stderr);
+    assert.ok(!JSON.parse(theme.stdout).hasOwnProperty('overrides'));
+    fs.writeFileSync(file, theme.stdout);
+
+    result = run(['generate', '--base', 'C0D4ED', '--overrides', file]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.strictEqual(result.stdout, run(['generate', '--base', 'C0D4ED']).stdout);
+});
+
+test('--overrides reads the overrides of a json theme', function () {
+    var overridesFile = path.join(dir, 'overrides.json'),
+        themeFile = path.join(dir, 'theme.json'),
+        theme,
+        result;
+
+    fs.writeFileSync(overridesFile, JSON.stringify({ c99bce8: { color: '123456' } }));
+    theme = run(['generate', '--base', 'C0D4ED', '--format', 'json', '--overrides', overridesFile]);
+    assert.strictEqual(theme.status, 0, theme.stderr);
+    assert.deepStrictEqual(JSON.parse(theme.stdout).overrides, { c99bce8: { color: '123456' } });
+    fs.writeFileSync(themeFile, theme.stdout);
+
+    result = run(['generate', '--base', 'C0D4ED', '--overrides', themeFile]);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.ok(/#123456/.test(result.stdout));
+    assert.strictEqual(result.stdout, run(['generate', '--base', 'C0D4ED', '--overrides', overridesFile]).stdout);
+});
+
+test('--overrides rejects unknown palette entries', function () {
+    var file = path.join(dir, 'unknown.json'),
+        result;
+
+    fs.writeFileSync(file, JSON.stringify({ nothing: { color: '123456' } }));
+    result = run(['generate', '--base', 'C0D4ED', '--overrides', file]);
+    assert.strictEqual(result.status, 1);
+    assert.ok(/unknown palette entry "nothing"/.test(result.stderr), result.stderr);
+});
+
+test('batch output creates nested directories', function () {
+    var out = path.join(dir, 'a', 'b'),
+        result = run(['generate', '--base', 'C0D4ED,FF0000', '--out', out]);
+
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.deepStrictEqual(fs.readdirSync(out).sort(), ['theme-c0d4ed.css', 'theme-ff0000.css']);
+});
+
+test('write errors are reported', function () {
+    var result = run(['generate', '--base', 'C0D4ED', '--out', path.join(dir, 'missing', 'theme.css')]);
+
+    assert.strictEqual(result.status, 1);
+    assert.ok(/^sasstool: could not write/.test(result.stderr), result.stderr);
+});
+
+try {
+    tests.forEach(function (item) {
+        try {
+            item.fn();
+            process.stdout.write('ok - ' + item.name + '\n');
+        } catch (e) {
+            failures += 1;
+            process.stdout.write('not ok - ' + item.name + '\n    ' + e.message.split('\n').join('\n    ') + '\n');
+        }
+    });
+} finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+process.stdout.write(tests.length - failures + ' of ' + tests.length + ' passed\n');
+process.exit(failures ? 1 : 0);